@@ -0,0 +1,89 @@
+// Browser Context Pool Module
+// Keeps a bounded set of Playwright browser contexts that crawl workers
+// borrow and return, instead of opening a fresh context for every URL
+
+class BrowserContextPool {
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.options = {
+      size: 3,
+      contextOptions: {},
+      prepareContext: null, // Optional async hook run on each new context (e.g. login)
+      ...options
+    };
+    
+    this.contexts = [];
+    this.idle = [];
+    this.waiters = [];
+    this.created = 0;
+  }
+
+  // Create a new context (overridable for contexts that need extra setup)
+  async createContext() {
+    const context = await this.browser.newContext(this.options.contextOptions);
+    
+    if (this.options.prepareContext) {
+      try {
+        await this.options.prepareContext(context);
+      } catch (error) {
+        await context.close();
+        throw error;
+      }
+    }
+    
+    return context;
+  }
+
+  // Borrow a context, creating one if the pool is not full yet
+  async acquire() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+    
+    if (this.created < this.options.size) {
+      this.created++;
+      try {
+        const context = await this.createContext();
+        this.contexts.push(context);
+        return context;
+      } catch (error) {
+        this.created--;
+        throw error;
+      }
+    }
+    
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // Hand a context back to the next waiting worker, or park it as idle
+  release(context) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter(context);
+    } else {
+      this.idle.push(context);
+    }
+  }
+
+  // Run a task with a borrowed context, always returning it to the pool
+  async withContext(task) {
+    const context = await this.acquire();
+    try {
+      return await task(context);
+    } finally {
+      this.release(context);
+    }
+  }
+
+  // Close every context the pool has created
+  async close() {
+    await Promise.all(this.contexts.map(context =>
+      context.close().catch(error => console.warn('Error closing browser context:', error.message))
+    ));
+    this.contexts = [];
+    this.idle = [];
+    this.created = 0;
+  }
+}
+
+module.exports = { BrowserContextPool };
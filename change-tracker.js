@@ -0,0 +1,211 @@
+// Change Tracker Module
+// Remembers HTTP validators (ETag, Last-Modified) and content hashes per page
+// and per chunk, so recrawls can skip unchanged pages, re-embed only changed
+// chunks and tombstone chunks of pages that were changed or removed
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+function hashContent(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Hash identifying a stored chunk's text
+function chunkHashOf(document) {
+  return document.contentHash || hashContent(document.content);
+}
+
+// Documents that have not been tombstoned, i.e. the ones search should see
+function liveDocuments(documents) {
+  return documents.filter(document => !document.tombstoned);
+}
+
+// Mark matching live documents as removed, keeping them (and their embeddings)
+// in place so indexes into the vector store stay valid; returns how many changed
+function tombstoneDocuments(documents, predicate, reason) {
+  const tombstonedAt = new Date().toISOString();
+  let count = 0;
+  
+  for (const document of documents) {
+    if (document.tombstoned || !predicate(document)) continue;
+    document.tombstoned = true;
+    document.tombstonedAt = tombstonedAt;
+    document.tombstoneReason = reason;
+    count++;
+  }
+  
+  return count;
+}
+
+// Bring a tombstoned chunk back when its text reappears, reusing its embedding
+function reviveDocument(document) {
+  delete document.tombstoned;
+  delete document.tombstonedAt;
+  delete document.tombstoneReason;
+}
+
+class ChangeTracker {
+  constructor(options = {}) {
+    this.options = {
+      userAgent: 'DynamicRAGBot',
+      timeout: 10000,
+      ...options
+    };
+    
+    // Canonical URL -> { etag, lastModified, contentHash, chunkHashes, failedChunkHashes, links, depth, crawledAt }
+    this.pages = new Map();
+    
+    // Pages being re-indexed: URL -> { chunks, failed: Sets of chunk hashes }
+    this.pending = new Map();
+  }
+
+  getPage(url) {
+    return this.pages.get(url) || null;
+  }
+
+  validatorsFrom(headers = {}) {
+    return {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null
+    };
+  }
+
+  // If-None-Match / If-Modified-Since headers for a page crawled before
+  getConditionalHeaders(url) {
+    const page = this.getPage(url);
+    const headers = {};
+    
+    if (page && page.etag) headers['If-None-Match'] = page.etag;
+    if (page && page.lastModified) headers['If-Modified-Since'] = page.lastModified;
+    
+    return headers;
+  }
+
+  // Ask the server with a conditional HEAD request whether a page changed.
+  // Resolves with notModified (true only on 304) and the current validators.
+  async checkNotModified(url) {
+    try {
+      const response = await axios.head(url, {
+        timeout: this.options.timeout,
+        headers: { 'User-Agent': this.options.userAgent, ...this.getConditionalHeaders(url) },
+        validateStatus: () => true
+      });
+      
+      return { notModified: response.status === 304, ...this.validatorsFrom(response.headers) };
+    } catch (error) {
+      console.warn(`Conditional request for ${url} failed:`, error.message);
+      return { notModified: false, etag: null, lastModified: null };
+    }
+  }
+
+  // Whether a page's extracted content is identical to the last crawl
+  isUnchanged(url, contentHash) {
+    const page = this.getPage(url);
+    return Boolean(page && page.contentHash && page.contentHash === contentHash);
+  }
+
+  // Record that a page is still present: unchanged, or kept after a crawl of
+  // it failed, since only pages confirmed gone are removed
+  markVisited(url) {
+    const page = this.getPage(url);
+    if (page) page.crawledAt = new Date().toISOString();
+    return page;
+  }
+
+  // Start collecting the chunks a page produces while it is re-indexed
+  beginPage(url) {
+    this.pending.set(url, { chunks: new Set(), failed: new Set() });
+  }
+
+  // A chunk of a page being re-indexed is stored (new or reused)
+  touchChunk(url, chunkHash) {
+    const entry = this.pending.get(url);
+    if (entry) entry.chunks.add(chunkHash);
+  }
+
+  // Whether a chunk was already stored or reused during the current re-index of a page
+  hasTouchedChunk(url, chunkHash) {
+    const entry = this.pending.get(url);
+    return Boolean(entry && entry.chunks.has(chunkHash));
+  }
+
+  // A chunk could not be embedded, so the page must not count as up to date
+  failChunk(url, chunkHash) {
+    const entry = this.pending.get(url);
+    if (entry) entry.failed.add(chunkHash);
+  }
+  
+  // A failed chunk was embedded later. Returns false, and records nothing, when
+  // the page is being re-indexed or its last crawl no longer produced the chunk
+  // (the page changed or was removed since), so the chunk must not be stored.
+  recoverChunk(url, chunkHash) {
+    const page = this.getPage(url);
+    const failed = page && !this.pending.has(url) ? page.failedChunkHashes || [] : [];
+    if (!failed.includes(chunkHash)) return false;
+    
+    page.failedChunkHashes = failed.filter(hash => hash !== chunkHash);
+    page.chunkHashes = [...page.chunkHashes, chunkHash];
+    return true;
+  }
+
+  // Drop the pending state of a page whose crawl failed
+  abortPage(url) {
+    this.pending.delete(url);
+  }
+
+  // Save a re-indexed page and return the set of chunk hashes it produced;
+  // stored chunks of the page outside this set are stale
+  finishPage(url, { contentHash = null, etag = null, lastModified = null, links = [], depth = 0 } = {}) {
+    const entry = this.pending.get(url) || { chunks: new Set(), failed: new Set() };
+    this.pending.delete(url);
+    
+    // Without a content hash the next crawl re-indexes the page and retries failed chunks
+    const failed = entry.failed.size > 0;
+    this.pages.set(url, {
+      etag: failed ? null : etag,
+      lastModified: failed ? null : lastModified,
+      contentHash: failed ? null : contentHash,
+      chunkHashes: [...entry.chunks],
+      failedChunkHashes: [...entry.failed],
+      links,
+      depth,
+      crawledAt: new Date().toISOString()
+    });
+    
+    return entry.chunks;
+  }
+
+  removePage(url) {
+    this.pages.delete(url);
+  }
+
+  // Pages crawled, found unchanged or kept after a failed attempt since `since` (ms timestamp)
+  visitedSince(since) {
+    return [...this.pages.values()].filter(page => Date.parse(page.crawledAt) >= since);
+  }
+
+  // Pages last crawled before `since` (ms timestamp) that match the predicate,
+  // i.e. pages a complete crawl no longer reached
+  findRemovedPages(since, predicate = () => true) {
+    return [...this.pages.entries()]
+      .filter(([url, page]) => Date.parse(page.crawledAt) < since && predicate(url, page))
+      .map(([url]) => url);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.pages);
+  }
+
+  load(data = {}) {
+    this.pages = new Map(Object.entries(data));
+  }
+}
+
+module.exports = {
+  ChangeTracker,
+  hashContent,
+  chunkHashOf,
+  liveDocuments,
+  tombstoneDocuments,
+  reviveDocument
+};
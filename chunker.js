@@ -0,0 +1,271 @@
+// Chunker Module
+// Splits markdown into token-limited chunks along heading sections, then
+// paragraphs, sentences and words, with overlap and heading breadcrumbs
+
+const { encode } = require('gpt-3-encoder');
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Sentence ends: terminal punctuation (optionally closed by a quote or bracket)
+// followed by whitespace
+const SENTENCE_BOUNDARY = /[.!?]["')\]]*\s+/g;
+
+function countTokens(text) {
+  return encode(text).length;
+}
+
+// Split text into [start, end) ranges at each match of a global pattern,
+// keeping the separator with the preceding piece
+function splitRanges(text, pattern, start, end) {
+  const ranges = [];
+  const slice = text.slice(start, end);
+  let last = 0;
+  
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(slice)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    const cut = match.index + match[0].length;
+    if (cut < slice.length) {
+      ranges.push([start + last, start + cut]);
+      last = cut;
+    }
+  }
+  ranges.push([start + last, end]);
+  
+  return ranges.filter(([from, to]) => text.slice(from, to).trim());
+}
+
+// Per-chunk fields stored on indexed documents
+function chunkMetadata(chunk) {
+  return {
+    chunkIndex: chunk.chunkIndex,
+    sectionPath: chunk.sectionPath,
+    breadcrumb: chunk.breadcrumb,
+    startOffset: chunk.startOffset,
+    endOffset: chunk.endOffset
+  };
+}
+
+class Chunker {
+  constructor(options = {}) {
+    this.options = {
+      maxTokens: 1000,
+      overlapTokens: 100,          // Tokens repeated from the end of the previous chunk of a section
+      breadcrumbs: 'prepend',      // 'prepend' adds "Guide > Setup" to the chunk text, 'metadata' only stores it
+      breadcrumbSeparator: ' > ',
+      ...options
+    };
+  }
+
+  // Chunk markdown into { content, chunkIndex, sectionPath, breadcrumb,
+  // startOffset, endOffset, tokenCount }. Offsets are character positions of
+  // the chunk's text in `text`, without the prepended breadcrumb.
+  chunk(text, maxTokens = this.options.maxTokens) {
+    const units = this.splitUnits(text);
+    const chunks = [];
+    let current = [];
+    
+    const budget = sectionPath => {
+      const breadcrumb = this.options.breadcrumbs === 'prepend' && sectionPath.length > 0
+        ? countTokens(`${sectionPath.join(this.options.breadcrumbSeparator)}\n\n`)
+        : 0;
+      return Math.max(16, maxTokens - breadcrumb);
+    };
+    
+    const flush = () => {
+      if (current.some(unit => !unit.heading)) {
+        chunks.push(this.buildChunk(text, current, chunks.length));
+      }
+    };
+    
+    for (const unit of units) {
+      const hasContent = current.some(item => !item.heading);
+      
+      // A heading starts a new chunk, unless the chunk so far is only headings
+      if (unit.heading && hasContent) {
+        flush();
+        current = [];
+      }
+      
+      for (const piece of this.fitUnit(text, unit, budget(unit.sectionPath))) {
+        const used = current.reduce((sum, item) => sum + item.tokens, 0);
+        
+        if (used + piece.tokens > budget(piece.sectionPath) && current.some(item => !item.heading)) {
+          flush();
+          current = this.overlapFrom(current, piece);
+        }
+        current.push(piece);
+      }
+    }
+    flush();
+    
+    return chunks;
+  }
+
+  // Paragraph-level units ({ start, end, tokens, heading, sectionPath }),
+  // keeping fenced code blocks whole
+  splitUnits(text) {
+    const units = [];
+    const headings = [];
+    let offset = 0;
+    let unitStart = null;
+    let inFence = false;
+    
+    const pushUnit = (end, heading = false) => {
+      if (unitStart === null) return;
+      const content = text.slice(unitStart, end);
+      if (content.trim()) {
+        units.push({
+          start: unitStart,
+          end,
+          tokens: countTokens(content),
+          heading,
+          sectionPath: headings.map(item => item.title)
+        });
+      }
+      unitStart = null;
+    };
+    
+    for (const line of text.split('\n')) {
+      const lineStart = offset;
+      const lineEnd = offset + line.length;
+      offset = lineEnd + 1;
+      
+      if (FENCE_PATTERN.test(line)) {
+        if (!inFence) pushUnit(lineStart);
+        if (unitStart === null) unitStart = lineStart;
+        inFence = !inFence;
+        if (!inFence) pushUnit(lineEnd);
+        continue;
+      }
+      if (inFence) continue;
+      
+      const heading = line.match(HEADING_PATTERN);
+      if (heading) {
+        pushUnit(lineStart);
+        
+        // Update the heading stack before recording the heading itself
+        const level = heading[1].length;
+        while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+        headings.push({ level, title: heading[2] });
+        
+        unitStart = lineStart;
+        pushUnit(lineEnd, true);
+        continue;
+      }
+      
+      if (!line.trim()) {
+        pushUnit(lineStart);
+      } else if (unitStart === null) {
+        unitStart = lineStart;
+      }
+    }
+    pushUnit(text.length);
+    
+    return units;
+  }
+
+  // Split a unit that exceeds the budget into sentences, and sentences into
+  // words (code blocks into lines), so no piece is over budget or empty
+  fitUnit(text, unit, budget) {
+    if (unit.tokens <= budget) return [unit];
+    
+    const isCode = FENCE_PATTERN.test(text.slice(unit.start, unit.end));
+    const pattern = isCode ? /\n/g : SENTENCE_BOUNDARY;
+    const pieces = [];
+    
+    for (const [start, end] of splitRanges(text, pattern, unit.start, unit.end)) {
+      const tokens = countTokens(text.slice(start, end));
+      if (tokens <= budget) {
+        pieces.push({ ...unit, start, end, tokens });
+        continue;
+      }
+      
+      // A single sentence or line over budget: fall back to words
+      let pieceStart = start;
+      let pieceTokens = 0;
+      for (const [wordStart, wordEnd] of this.splitWords(text, start, end, budget)) {
+        const wordTokens = countTokens(text.slice(wordStart, wordEnd));
+        if (pieceTokens > 0 && pieceTokens + wordTokens > budget) {
+          pieces.push({ ...unit, start: pieceStart, end: wordStart, tokens: pieceTokens });
+          pieceStart = wordStart;
+          pieceTokens = 0;
+        }
+        pieceTokens += wordTokens;
+      }
+      pieces.push({ ...unit, start: pieceStart, end, tokens: pieceTokens });
+    }
+    
+    return pieces;
+  }
+
+  // Word ranges of a sentence. Words longer than the budget on their own
+  // (URLs, base64, minified code) are cut into fixed-size character windows.
+  splitWords(text, start, end, budget) {
+    return splitRanges(text, /\s+/g, start, end).flatMap(([wordStart, wordEnd]) => {
+      const tokens = countTokens(text.slice(wordStart, wordEnd));
+      if (tokens <= budget) return [[wordStart, wordEnd]];
+      
+      const step = Math.max(1, Math.floor((wordEnd - wordStart) * budget / tokens));
+      const windows = [];
+      for (let from = wordStart; from < wordEnd; from += step) {
+        windows.push([from, Math.min(from + step, wordEnd)]);
+      }
+      return windows;
+    });
+  }
+
+  // Trailing pieces of a full chunk that start the next one, up to
+  // overlapTokens. Overlap never crosses into a new section.
+  overlapFrom(previous, next) {
+    const { overlapTokens } = this.options;
+    if (!overlapTokens || next.heading) return [];
+    
+    const sameSection = previous.filter(unit =>
+      !unit.heading && unit.sectionPath.join('\n') === next.sectionPath.join('\n')
+    );
+    const overlap = [];
+    let tokens = 0;
+    
+    for (let i = sameSection.length - 1; i >= 0; i--) {
+      if (tokens + sameSection[i].tokens > overlapTokens) break;
+      overlap.unshift(sameSection[i]);
+      tokens += sameSection[i].tokens;
+    }
+    
+    return overlap;
+  }
+
+  buildChunk(text, units, chunkIndex) {
+    const startOffset = units[0].start;
+    const endOffset = units[units.length - 1].end;
+    const body = text.slice(startOffset, endOffset).trim();
+    const { sectionPath } = units[units.length - 1];
+    const breadcrumb = sectionPath.join(this.options.breadcrumbSeparator);
+    
+    // A chunk that opens with its own heading only needs the parent headings
+    const startsWithHeading = units[0].heading && units[0].sectionPath.length === sectionPath.length;
+    const prefixPath = startsWithHeading ? sectionPath.slice(0, -1) : sectionPath;
+    const prefix = this.options.breadcrumbs === 'prepend' && prefixPath.length > 0
+      ? `${prefixPath.join(this.options.breadcrumbSeparator)}\n\n`
+      : '';
+    const content = prefix + body;
+    
+    return {
+      content,
+      chunkIndex,
+      sectionPath,
+      breadcrumb,
+      startOffset,
+      endOffset,
+      tokenCount: countTokens(content)
+    };
+  }
+}
+
+module.exports = { Chunker, chunkMetadata, countTokens };
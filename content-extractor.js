@@ -0,0 +1,229 @@
+// Content Extractor Module
+// Readability-style main-content extraction: removes navigation, headers,
+// footers, sidebars and consent banners, then keeps the densest content block
+
+const cheerio = require('cheerio');
+
+// Page chrome that is never main content
+const DEFAULT_BOILERPLATE_SELECTORS = [
+  'nav', 'header', 'footer', 'aside', 'form[role="search"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '.skip-link', '.breadcrumb', '.breadcrumbs'
+];
+
+// Cookie and privacy consent banners, including common consent platforms
+const DEFAULT_CONSENT_SELECTORS = [
+  '#onetrust-consent-sdk', '#onetrust-banner-sdk', '#CybotCookiebotDialog', '#usercentrics-root',
+  '.cc-window', '.cookie-banner', '.cookie-notice', '.cookie-consent', '#cookie-banner',
+  '#cookie-notice', '#cookie-consent', '[id*="cookie-law" i]', '[class*="consent-banner" i]',
+  '[aria-label*="cookie" i]', '[aria-label*="consent" i]'
+];
+
+// Class and id hints that raise or lower a block's content score
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|blog|story|docs?|markdown|prose/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|sidebar|sponsor|promo|related|share|social|nav|menu|widget|banner|cookie|consent|popup|modal|subscribe|newsletter/i;
+
+// Elements whose text counts towards the score of their container
+const CONTENT_ELEMENTS = 'p, pre, table, blockquote, ul, ol, dl, h2, h3, h4, h5, h6';
+
+// Elements that can hold the main content
+const CONTAINER_ELEMENTS = new Set(['div', 'section', 'article', 'main', 'td', 'body']);
+
+function textLength($, el) {
+  return $(el).text().replace(/\s+/g, ' ').trim().length;
+}
+
+// Share of an element's text that sits inside links
+function linkDensity($, el) {
+  const total = textLength($, el);
+  if (total === 0) return 0;
+  
+  let linked = 0;
+  $(el).find('a').each((_, link) => {
+    linked += textLength($, link);
+  });
+  return linked / total;
+}
+
+class ContentExtractor {
+  constructor(options = {}) {
+    this.options = {
+      dropBoilerplate: true,
+      boilerplateSelectors: DEFAULT_BOILERPLATE_SELECTORS,
+      consentSelectors: DEFAULT_CONSENT_SELECTORS,
+      siteRules: {},           // { '*' | hostname: { keep: [selectors], drop: [selectors], dropBoilerplate } }
+      minContentLength: 250,   // Shorter extractions fall back to the page without boilerplate
+      minContentShare: 0.25,   // Same, when the main block holds less than this share of the page text
+      ...options
+    };
+  }
+
+  // Keep and drop selectors for a URL from the "*" rule and matching host
+  // rules. Host rules also match subdomains; the most specific one decides
+  // dropBoilerplate.
+  rulesFor(url) {
+    const { siteRules } = this.options;
+    const rules = { keep: [], drop: [], dropBoilerplate: this.options.dropBoilerplate };
+    
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      // Only the "*" rule applies to fragments without a URL
+    }
+    
+    const matching = Object.keys(siteRules)
+      .filter(host => host === '*' || (hostname && (hostname === host || hostname.endsWith(`.${host}`))))
+      .sort((a, b) => (a === '*' ? -1 : b === '*' ? 1 : a.length - b.length));
+    
+    for (const host of matching) {
+      const rule = siteRules[host];
+      rules.keep.push(...(rule.keep || []));
+      rules.drop.push(...(rule.drop || []));
+      if (rule.dropBoilerplate !== undefined) rules.dropBoilerplate = rule.dropBoilerplate;
+    }
+    
+    return rules;
+  }
+
+  // Reduce a page to its main content. Resolves the HTML of that content
+  // (keeping <title> and <base>) and how it was found: 'keep', 'semantic', 'scored' or 'page'.
+  extract(html, url = null) {
+    const $ = cheerio.load(html);
+    const rules = this.rulesFor(url);
+    const head = $.html($('title').first()) + $.html($('base[href]').first());
+    
+    $('script, style, noscript, template').remove();
+    for (const selector of rules.drop) {
+      this.remove($, selector);
+    }
+    
+    // Site keep selectors win over any heuristics
+    if (rules.keep.length > 0) {
+      const kept = this.outermost($, $(rules.keep.join(', ')).toArray());
+      if (kept.length > 0) {
+        return this.result($, head, kept, 'keep');
+      }
+    }
+    
+    if (rules.dropBoilerplate) {
+      this.removeBoilerplate($);
+    }
+    
+    const body = $('body')[0];
+    const pageLength = textLength($, body);
+    const main = this.findMainContent($);
+    
+    if (main && main.node !== body) {
+      const length = textLength($, main.node);
+      if (length >= this.options.minContentLength && length >= pageLength * this.options.minContentShare) {
+        return this.result($, head, [main.node], main.method);
+      }
+    }
+    
+    return this.result($, head, [body], 'page');
+  }
+
+  // Remove matching elements, but never the element holding the page's main content
+  remove($, selector) {
+    $(selector).each((_, el) => {
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'html' || tag === 'body') return;
+      if ($(el).find('main, article, [role="main"]').length > 0) return;
+      $(el).remove();
+    });
+  }
+
+  removeBoilerplate($) {
+    for (const selector of this.options.consentSelectors) {
+      this.remove($, selector);
+    }
+    
+    for (const selector of this.options.boilerplateSelectors) {
+      $(selector).each((_, el) => {
+        // Article headers and footers (bylines, dates) belong to the content
+        const tag = el.tagName.toLowerCase();
+        if ((tag === 'header' || tag === 'footer') && $(el).parents('article, main, [role="main"]').length > 0) return;
+        if ($(el).find('main, article, [role="main"]').length > 0) return;
+        $(el).remove();
+      });
+    }
+  }
+
+  // The main content element: a single <main>, [role=main] or <article>, or the
+  // highest-scoring container
+  findMainContent($) {
+    for (const selector of ['main', '[role="main"]', 'article']) {
+      const matches = $(selector).toArray();
+      if (matches.length === 1) {
+        return { node: matches[0], method: 'semantic' };
+      }
+    }
+    
+    const scored = this.scoreContainers($);
+    return scored ? { node: scored, method: 'scored' } : null;
+  }
+
+  // Score containers by the text of the content elements they hold, the way
+  // Readability does: a parent gets each element's score, a grandparent half.
+  // Link-heavy containers and negative class names score lower.
+  scoreContainers($) {
+    const scores = new Map();
+    
+    $(CONTENT_ELEMENTS).each((_, el) => {
+      const length = textLength($, el);
+      if (length < 25) return;
+      
+      const text = $(el).text();
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(length / 100), 3);
+      
+      let ancestor = el.parent;
+      for (let level = 0; level < 2 && ancestor && ancestor.type === 'tag'; level++) {
+        if (CONTAINER_ELEMENTS.has(ancestor.tagName.toLowerCase())) {
+          scores.set(ancestor, (scores.get(ancestor) || this.classWeight($, ancestor)) + score / (level + 1));
+        }
+        ancestor = ancestor.parent;
+      }
+    });
+    
+    let best = null;
+    let bestScore = 0;
+    for (const [node, score] of scores) {
+      const adjusted = score * (1 - linkDensity($, node));
+      if (adjusted > bestScore) {
+        best = node;
+        bestScore = adjusted;
+      }
+    }
+    
+    return best;
+  }
+
+  classWeight($, el) {
+    const hints = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    let weight = 0;
+    if (POSITIVE_HINTS.test(hints)) weight += 25;
+    if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+    return weight;
+  }
+
+  // Drop elements contained in other selected elements, so no text is emitted twice
+  outermost($, elements) {
+    return elements.filter(el => !elements.some(other => other !== el && $(other).find(el).length > 0));
+  }
+
+  result($, head, nodes, method) {
+    const content = nodes.map(node => (node.tagName.toLowerCase() === 'body' ? $(node).html() : $.html(node))).join('\n');
+    
+    return {
+      html: `<html><head>${head}</head><body>${content}</body></html>`,
+      method
+    };
+  }
+}
+
+module.exports = {
+  ContentExtractor,
+  DEFAULT_BOILERPLATE_SELECTORS,
+  DEFAULT_CONSENT_SELECTORS
+};
@@ -0,0 +1,216 @@
+// Crawl Authentication Module
+// Declarative login flows, reusable Playwright storage state and per-domain
+// cookies/headers for crawling SPAs that sit behind a login
+
+const fs = require('fs');
+const path = require('path');
+
+// Check whether a hostname is a domain or one of its subdomains
+function matchesDomain(hostname, domain) {
+  const normalized = domain.replace(/^\./, '').toLowerCase();
+  return hostname === normalized || hostname.endsWith(`.${normalized}`);
+}
+
+class AuthManager {
+  constructor(options = {}) {
+    this.options = {
+      storageStatePath: null,   // Loaded into new contexts and rewritten after each login
+      loginFlow: null,          // { url, fields: { selector: value }, submitSelector, successSelector, timeout }
+      cookies: {},              // { 'example.com': [{ name, value, path }] }
+      headers: {},              // { 'api.example.com': { Authorization: 'Bearer ...' } }
+      sessionExpired: {},       // { urlPatterns: [/\/login/], selectors: ['form#login'] }
+      ...options
+    };
+    
+    // Every login bumps the generation so contexts know their cookies are stale
+    this.generation = 0;
+    this.latestState = null;
+    this.contextGenerations = new WeakMap();
+    this.loginPromise = null;
+  }
+
+  hasStoredState() {
+    return Boolean(this.options.storageStatePath && fs.existsSync(this.options.storageStatePath));
+  }
+
+  // Options merged into browser.newContext()
+  getContextOptions() {
+    return this.hasStoredState() ? { storageState: this.options.storageStatePath } : {};
+  }
+
+  // Inject configured cookies and headers into a new context and log in if needed
+  async prepareContext(context) {
+    const cookies = Object.entries(this.options.cookies).flatMap(([domain, domainCookies]) =>
+      domainCookies.map(cookie => ({ path: '/', ...cookie, domain: cookie.domain || domain }))
+    );
+    if (cookies.length > 0) {
+      await context.addCookies(cookies);
+    }
+    
+    if (Object.keys(this.options.headers).length > 0) {
+      await context.route('**/*', route => {
+        const request = route.request();
+        const extraHeaders = this.headersFor(request.url());
+        
+        return Object.keys(extraHeaders).length > 0
+          ? route.continue({ headers: { ...request.headers(), ...extraHeaders } })
+          : route.continue();
+      });
+    }
+    
+    this.contextGenerations.set(context, this.generation);
+    
+    if (this.options.loginFlow && !this.hasStoredState() && this.generation === 0) {
+      await this.login(context);
+    } else {
+      await this.syncContext(context);
+    }
+  }
+
+  // Configured extra headers for a URL's domain
+  headersFor(url) {
+    const { hostname } = new URL(url);
+    return Object.entries(this.options.headers)
+      .filter(([domain]) => matchesDomain(hostname, domain))
+      .reduce((headers, [, domainHeaders]) => ({ ...headers, ...domainHeaders }), {});
+  }
+
+  // Cookie and extra headers for requests made without the browser (static
+  // fetches, document downloads): configured cookies and those of the latest
+  // login or stored session that apply to the URL
+  getRequestHeaders(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now() / 1000;
+    
+    const configured = Object.entries(this.options.cookies).flatMap(([domain, domainCookies]) =>
+      domainCookies.map(cookie => ({ path: '/', ...cookie, domain: cookie.domain || domain }))
+    );
+    const state = this.latestState || (this.hasStoredState()
+      ? JSON.parse(fs.readFileSync(this.options.storageStatePath, 'utf8'))
+      : {});
+    
+    const cookies = new Map();
+    for (const cookie of [...configured, ...(state.cookies || [])]) {
+      if (!matchesDomain(hostname, cookie.domain) || !pathname.startsWith(cookie.path || '/')) continue;
+      if (cookie.expires > 0 && cookie.expires < now) continue;
+      if (cookie.secure && protocol !== 'https:') continue;
+      cookies.set(cookie.name, cookie.value);
+    }
+    
+    const headers = this.headersFor(url);
+    if (cookies.size > 0) {
+      headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    return headers;
+  }
+
+  // Whether a URL is the login page or matches a logged-out URL pattern
+  isLoginUrl(url) {
+    const { urlPatterns = [] } = this.options.sessionExpired;
+    
+    if (this.options.loginFlow) {
+      const loginUrl = new URL(this.options.loginFlow.url);
+      const current = new URL(url);
+      if (current.host === loginUrl.host && current.pathname === loginUrl.pathname) {
+        return true;
+      }
+    }
+    
+    return urlPatterns.some(pattern => new RegExp(pattern).test(url));
+  }
+
+  // Copy cookies from the most recent login into a context that predates it
+  async syncContext(context) {
+    if (this.latestState && (this.contextGenerations.get(context) || 0) < this.generation) {
+      await context.addCookies(this.latestState.cookies);
+      this.contextGenerations.set(context, this.generation);
+    }
+  }
+
+  // Run the login flow once, even if several workers detect an expired session together
+  async login(context) {
+    if (!this.options.loginFlow) {
+      throw new Error('Session expired but no loginFlow is configured');
+    }
+    
+    if (!this.loginPromise) {
+      this.loginPromise = this.runLoginFlow(context).finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    
+    await this.loginPromise;
+    await this.syncContext(context);
+  }
+
+  async runLoginFlow(context) {
+    const { url, fields = {}, submitSelector, successSelector, timeout = 30000 } = this.options.loginFlow;
+    console.log(`Logging in at ${url}`);
+    
+    const page = await context.newPage();
+    try {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+      
+      for (const [selector, value] of Object.entries(fields)) {
+        await page.fill(selector, value, { timeout });
+      }
+      
+      if (submitSelector) {
+        await page.click(submitSelector, { timeout });
+      } else {
+        await page.keyboard.press('Enter');
+      }
+      
+      if (successSelector) {
+        await page.waitForSelector(successSelector, { timeout });
+      } else {
+        await page.waitForLoadState('networkidle', { timeout });
+      }
+      
+      this.latestState = await context.storageState();
+      this.generation++;
+      this.contextGenerations.set(context, this.generation);
+      
+      if (this.options.storageStatePath) {
+        fs.mkdirSync(path.dirname(this.options.storageStatePath), { recursive: true });
+        fs.writeFileSync(this.options.storageStatePath, JSON.stringify(this.latestState, null, 2));
+      }
+      
+      console.log('Login succeeded');
+    } catch (error) {
+      throw new Error(`Login flow failed: ${error.message}`);
+    } finally {
+      await page.close();
+    }
+  }
+
+  // Detect a logged-out page: redirected to the login URL or showing a login form
+  async isSessionExpired(page) {
+    const { selectors = [] } = this.options.sessionExpired;
+    
+    if (this.isLoginUrl(page.url())) {
+      return true;
+    }
+    
+    for (const selector of selectors) {
+      if (await page.$(selector)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  // Re-authenticate a context whose session expired. If another worker already
+  // logged in since this context was last synced, reuse that session instead.
+  async handleExpiredSession(context) {
+    if ((this.contextGenerations.get(context) || 0) < this.generation) {
+      await this.syncContext(context);
+    } else {
+      console.log('Session expired, re-running login flow');
+      await this.login(context);
+    }
+  }
+}
+
+module.exports = { AuthManager };
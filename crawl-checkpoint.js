@@ -0,0 +1,150 @@
+// Crawl Checkpoint Module
+// Persists crawl sessions (pending frontier, visited URLs, documents and
+// embeddings) to disk so an interrupted crawl can be resumed. Documents and
+// embeddings go to an append-only log next to the checkpoint, so each
+// checkpoint only writes what changed since the previous one.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+class CrawlCheckpointStore {
+  constructor(options = {}) {
+    this.options = {
+      checkpointDir: './crawl_checkpoints',
+      ...options
+    };
+  }
+
+  // Generate a new session identifier
+  createSessionId() {
+    return `crawl-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  getPath(sessionId) {
+    if (!/^[\w.-]+$/.test(sessionId)) {
+      throw new Error(`Invalid crawl session id: ${sessionId}`);
+    }
+    return path.join(this.options.checkpointDir, `${sessionId}.json`);
+  }
+
+  getDocumentLogPath(sessionId) {
+    return this.getPath(sessionId).replace(/\.json$/, '.documents.jsonl');
+  }
+
+  // Append document records, one JSON line each: { index, document, vector }
+  // for a new document, or { index, document } for a changed one that keeps
+  // its vector. Called before save, so a checkpoint never refers to records
+  // that were not written.
+  appendDocuments(sessionId, records) {
+    if (records.length === 0) return;
+    
+    if (!fs.existsSync(this.options.checkpointDir)) {
+      fs.mkdirSync(this.options.checkpointDir, { recursive: true });
+    }
+    const fd = fs.openSync(this.getDocumentLogPath(sessionId), 'a');
+    try {
+      for (const record of records) {
+        fs.writeSync(fd, `${JSON.stringify(record)}\n`);
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Replay a session's document log into { documents, vectorStore }, keeping
+  // the first `count` documents the checkpoint refers to. Streams the log, as
+  // it can be larger than a string may be.
+  async loadDocuments(sessionId, count) {
+    const documents = [];
+    const vectorStore = [];
+    const filePath = this.getDocumentLogPath(sessionId);
+    const lines = fs.existsSync(filePath)
+      ? readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })
+      : [];
+    for await (const line of lines) {
+      if (!line) continue;
+      
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A write cut short by a crash; nothing after it was checkpointed
+        console.warn(`Skipping unreadable record in ${filePath}:`, error.message);
+        continue;
+      }
+      if (record.index >= count) continue;
+      
+      documents[record.index] = record.document;
+      if (record.vector) vectorStore[record.index] = record.vector;
+    }
+    
+    for (let index = 0; index < count; index++) {
+      if (!documents[index] || !vectorStore[index]) {
+        throw new Error(`Document log of crawl session ${sessionId} is missing document ${index}`);
+      }
+    }
+    return { documents, vectorStore };
+  }
+
+  // Write a checkpoint atomically so a crash mid-write never corrupts it
+  save(sessionId, state) {
+    const filePath = this.getPath(sessionId);
+    const tempPath = `${filePath}.tmp`;
+    
+    if (!fs.existsSync(this.options.checkpointDir)) {
+      fs.mkdirSync(this.options.checkpointDir, { recursive: true });
+    }
+    const data = {
+      ...state,
+      sessionId,
+      updatedAt: new Date().toISOString()
+    };
+    
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Load a checkpoint, or null if the session is unknown
+  load(sessionId) {
+    const filePath = this.getPath(sessionId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // List saved sessions with their status, newest first
+  list() {
+    if (!fs.existsSync(this.options.checkpointDir)) {
+      return [];
+    }
+    
+    return fs.readdirSync(this.options.checkpointDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          const { sessionId, type, seedUrl, status, updatedAt } =
+            JSON.parse(fs.readFileSync(path.join(this.options.checkpointDir, file), 'utf8'));
+          return { sessionId, type, seedUrl, status, updatedAt };
+        } catch (error) {
+          console.warn(`Skipping unreadable checkpoint ${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  remove(sessionId) {
+    for (const filePath of [this.getPath(sessionId), this.getDocumentLogPath(sessionId)]) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+}
+
+module.exports = { CrawlCheckpointStore };
@@ -7,13 +7,17 @@ const path = require('path');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const { DynamicWebsiteRAG } = require('./dynamic-rag-system');
-const { encode } = require('gpt-3-encoder');
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { CrawlScope } = require('./crawl-scope');
+const {
+  ChangeTracker,
+  hashContent,
+  chunkHashOf,
+  tombstoneDocuments,
+  reviveDocument
+} = require('./change-tracker');
+const { citationMetadata } = require('./document-ingestor');
+const { chunkMetadata } = require('./chunker');
+const { NearDuplicateDetector, addProvenance } = require('./near-duplicate');
 
 // Class for Crawl4AI integration
 class Crawl4AIRagAdapter {
@@ -31,6 +35,39 @@ class Crawl4AIRagAdapter {
     this.vectorStore = [];
     this.ragSystem = new DynamicWebsiteRAG(this.options);
     
+    // URL + content, per-URL and position maps of this adapter's documents,
+    // rebuilt when the documents array is replaced (e.g. by resumeCrawl)
+    this.documentKeys = new Map();
+    this.documentsByUrl = new Map();
+    this.documentPositions = new Map();
+    this.documentKeysSource = null;
+    
+    // URL -> number of the latest in-place change to its chunks, for checkpoints
+    this.documentChanges = new Map();
+    this.documentChangeCount = 0;
+    
+    // Share robots.txt and host rate limits with the dynamic crawler
+    this.politeness = this.ragSystem.politeness;
+    this.checkpoints = this.ragSystem.checkpoints;
+    this.canonicalizer = this.ragSystem.canonicalizer;
+    this.sitemaps = this.ragSystem.sitemaps;
+    this.sitemapEntries = this.ragSystem.sitemapEntries;
+    this.chunker = this.ragSystem.chunker;
+    
+    // Page state for this adapter's own documents, for incremental recrawls
+    this.changeTracker = new ChangeTracker({ userAgent: this.ragSystem.options.robotsUserAgent });
+    this.pendingValidators = new Map();
+    
+    // Near-duplicate matching over this adapter's own documents, with the crawler's settings
+    const { nearDuplicates } = this.ragSystem;
+    this.nearDuplicates = nearDuplicates ? new NearDuplicateDetector(nearDuplicates.options) : null;
+    
+    // The crawler's embedding provider and batched pipeline, so both share one
+    // request budget; documents sent by this adapter mark its dead letters
+    this.embeddingProvider = this.ragSystem.embeddingProvider;
+    this.embeddings = this.ragSystem.embeddings;
+    this.embeddingRequests = new WeakSet();
+    
     // Create output directory if it doesn't exist
     if (!fs.existsSync(this.options.outputDir)) {
       fs.mkdirSync(this.options.outputDir, { recursive: true });
@@ -56,74 +93,25 @@ class Crawl4AIRagAdapter {
     }
   }
   
-  // Get sitemap URLs from a website
+  // Get sitemap URLs from a website, highest sitemap priority first
   async getSitemapUrls(url) {
+    return (await this.readSitemap(url)).urls;
+  }
+  
+  // Sitemap URLs as getSitemapUrls, and whether every sitemap could be read
+  async readSitemap(url) {
     try {
-      // Create a temporary Python script to extract sitemap URLs
-      const scriptPath = path.join(this.options.outputDir, 'get_sitemap.py');
-      
-      const pythonScript = `
-import requests
-import xml.etree.ElementTree as ET
-import json
-import sys
-
-def get_sitemap_urls(sitemap_url):
-    try:
-        # Ensure the URL ends with sitemap.xml if not provided
-        if not sitemap_url.endswith('sitemap.xml'):
-            if sitemap_url.endswith('/'):
-                sitemap_url = sitemap_url + 'sitemap.xml'
-            else:
-                sitemap_url = sitemap_url + '/sitemap.xml'
-        
-        response = requests.get(sitemap_url, timeout=10)
-        response.raise_for_status()
-        
-        # Parse the XML
-        root = ET.fromstring(response.content)
-        
-        # Define namespace if it exists
-        ns = {'sm': 'http://www.sitemaps.org/schemas/sitemap/0.9'}
-        
-        # Extract all URLs
-        urls = []
-        for url in root.findall('.//sm:url/sm:loc', ns):
-            urls.append(url.text)
-        
-        # If no URLs found with namespace, try without
-        if not urls:
-            for url in root.findall('.//loc'):
-                urls.append(url.text)
-        
-        return urls
-    except Exception as e:
-        print(f"Error getting sitemap: {str(e)}", file=sys.stderr)
-        return []
-
-if __name__ == "__main__":
-    sitemap_url = "${url}"
-    urls = get_sitemap_urls(sitemap_url)
-    print(json.dumps(urls))
-      `;
-      
-      fs.writeFileSync(scriptPath, pythonScript);
-      
-      // Execute the Python script
-      const { stdout, stderr } = await execPromise(`python ${scriptPath}`);
+      const { entries, complete } = await this.sitemaps.readEntries(url);
       
-      if (stderr) {
-        console.warn('Warnings when getting sitemap:', stderr);
+      for (const entry of entries) {
+        const canonical = this.canonicalizer.canonicalize(entry.url);
+        if (canonical) this.sitemapEntries.set(canonical, { ...entry, url: canonical });
       }
       
-      // Parse the output
-      const urls = JSON.parse(stdout.trim());
-      console.log(`Found ${urls.length} URLs in sitemap for ${url}`);
-      
-      return urls;
+      return { urls: entries.map(entry => entry.url), complete };
     } catch (error) {
       console.error('Error getting sitemap URLs:', error.message);
-      return [];
+      return { urls: [], complete: false };
     }
   }
   
@@ -132,17 +120,23 @@ if __name__ == "__main__":
     try {
       await this.installCrawl4AI();
       
-      // Create a temporary Python script for crawling
-      const scriptPath = path.join(this.options.outputDir, 'crawl_website.py');
-      const outputPath = path.join(this.options.outputDir, 'crawled_data.json');
-      
-      let urls = [url];
+      let urls = this.canonicalizer.canonicalizeAll([url]);
       
       // If depth > 0, try to get sitemap URLs
       if (depth > 0) {
-        const sitemapUrls = await this.getSitemapUrls(url);
+        const { urls: sitemapUrls, complete } = await this.readSitemap(url);
         if (sitemapUrls.length > 0) {
-          urls = [...new Set([...urls, ...sitemapUrls])];
+          // Canonicalize so URL variants listed in the sitemap are crawled once,
+          // then keep only sitemap entries inside the crawl scope
+          const scope = new CrawlScope(url, this.options.crawlScope);
+          const candidates = this.canonicalizer.canonicalizeAll(sitemapUrls).filter(link => !urls.includes(link));
+          urls = [...urls, ...scope.filter(candidates, 1)];
+          
+          // Pages indexed before that the sitemap no longer lists were removed,
+          // unless part of the sitemap could not be read
+          if (complete) {
+            this.tombstoneUnlisted(url, scope, urls);
+          }
           
           // Limit the number of URLs
           if (urls.length > this.options.maxPages) {
@@ -152,8 +146,252 @@ if __name__ == "__main__":
         }
       }
       
-      // Create a Python script that uses Crawl4AI to crawl the URLs
-      const pythonScript = `
+      // Drop URLs that robots.txt disallows and pages that have not changed
+      urls = await this.politeness.filterAllowed(urls);
+      urls = await this.filterModified(urls);
+      if (urls.length === 0) {
+        console.log(`No crawlable URLs left for ${url} after applying robots.txt`);
+        return { documents: this.documents, vectorStore: this.vectorStore };
+      }
+      
+      const session = {
+        id: this.checkpoints.createSessionId(),
+        seedUrl: url,
+        pending: urls,
+        completed: [],
+        loggedDocuments: 0,
+        loggedChange: 0
+      };
+      
+      return await this.runCrawlSession(session);
+    } catch (error) {
+      console.error('Error crawling website:', error.message);
+      throw error;
+    }
+  }
+  
+  // Continue a checkpointed crawl, skipping pages that were already processed
+  async resumeCrawl(sessionId) {
+    const checkpoint = this.checkpoints.load(sessionId);
+    if (!checkpoint || checkpoint.type !== 'crawl4ai') {
+      throw new Error(`No Crawl4AI checkpoint found for session ${sessionId}`);
+    }
+    
+    // Checkpoints written before the document log hold their documents inline
+    const { documents, vectorStore } = checkpoint.documents
+      ? checkpoint
+      : await this.checkpoints.loadDocuments(sessionId, checkpoint.documentCount || 0);
+    
+    const mismatch = this.ragSystem.embeddingMismatch(checkpoint.embedding, vectorStore);
+    if (mismatch) {
+      throw new Error(`Cannot resume crawl session ${sessionId}: ${mismatch}`);
+    }
+    
+    this.documents = documents;
+    this.vectorStore = vectorStore;
+    this.changeTracker.load(checkpoint.pages);
+    
+    if (checkpoint.status === 'complete') {
+      console.log(`Crawl session ${sessionId} already completed`);
+      return { sessionId, documents: this.documents, vectorStore: this.vectorStore };
+    }
+    
+    console.log(`Resuming crawl session ${sessionId} with ${checkpoint.pending.length} pending URLs`);
+    await this.installCrawl4AI();
+    
+    return this.runCrawlSession({
+      id: sessionId,
+      seedUrl: checkpoint.seedUrl,
+      pending: checkpoint.pending,
+      completed: checkpoint.completed || [],
+      loggedDocuments: checkpoint.documents ? 0 : documents.length,
+      loggedChange: this.documentChangeCount
+    });
+  }
+  
+  // Persist pending and completed URLs; documents stored or changed since the
+  // last checkpoint are appended to the session's document log
+  saveCheckpoint(session, status = 'running') {
+    this.checkpoints.appendDocuments(session.id, this.documentRecordsSince(session));
+    this.checkpoints.save(session.id, {
+      type: 'crawl4ai',
+      status,
+      seedUrl: session.seedUrl,
+      pending: session.pending,
+      completed: session.completed,
+      documentCount: session.loggedDocuments,
+      embedding: this.ragSystem.embeddingInfo(this.vectorStore),
+      pages: this.changeTracker.toJSON()
+    });
+  }
+  
+  // Rebuild the document maps when the documents array was replaced or edited elsewhere
+  indexDocuments() {
+    if (this.documentKeysSource === this.documents && this.documentKeys.size <= this.documents.length) return;
+    
+    this.documentKeys = new Map();
+    this.documentsByUrl = new Map();
+    this.documentPositions = new Map();
+    this.documentKeysSource = this.documents;
+    this.documents.forEach((doc, index) => this.addDocumentKeys(doc, index));
+  }
+  
+  markDocumentsChanged(url) {
+    this.documentChanges.set(url, ++this.documentChangeCount);
+  }
+  
+  // Document log records stored or changed since the session's last checkpoint
+  documentRecordsSince(session) {
+    this.indexDocuments();
+    const records = [];
+    
+    for (const [url, change] of this.documentChanges) {
+      if (change <= session.loggedChange) continue;
+      for (const document of this.documentsOf(url)) {
+        const index = this.documentPositions.get(document);
+        if (index < session.loggedDocuments) records.push({ index, document });
+      }
+    }
+    for (let index = session.loggedDocuments; index < this.documents.length; index++) {
+      records.push({ index, document: this.documents[index], vector: this.vectorStore[index] });
+    }
+    
+    session.loggedChange = this.documentChangeCount;
+    session.loggedDocuments = this.documents.length;
+    return records;
+  }
+  
+  addDocumentKeys(document, index) {
+    this.documentPositions.set(document, index);
+    this.documentKeys.set(`${document.url}\n${document.content}`, document);
+    if (!this.documentsByUrl.has(document.url)) this.documentsByUrl.set(document.url, []);
+    this.documentsByUrl.get(document.url).push(document);
+  }
+  
+  // The stored chunk with this text for a canonical URL
+  findDocument(url, content) {
+    this.indexDocuments();
+    return this.documentKeys.get(`${url}\n${content}`) || null;
+  }
+  
+  // Stored chunks of a canonical URL, tombstoned or not
+  documentsOf(url) {
+    this.indexDocuments();
+    return this.documentsByUrl.get(url) || [];
+  }
+  
+  // Whether any chunk of a page is stored and not tombstoned
+  hasLiveDocuments(url) {
+    return this.documentsOf(url).some(doc => !doc.tombstoned);
+  }
+  
+  // The stored embedding of a document, or null
+  embeddingOf(document) {
+    this.indexDocuments();
+    const entry = this.vectorStore[this.documentPositions.get(document)];
+    return entry ? entry.embedding : null;
+  }
+  
+  // Drop previously indexed pages that a conditional HEAD request reports as
+  // not modified. Validators of changed pages are kept until they are re-indexed.
+  async filterModified(urls) {
+    if (!this.ragSystem.options.incremental) return urls;
+    
+    const modified = [];
+    for (const url of urls) {
+      if (!this.changeTracker.getPage(url) || !this.hasLiveDocuments(url)) {
+        modified.push(url);
+        continue;
+      }
+      
+      const { notModified, etag, lastModified } = await this.politeness.schedule(url, () =>
+        this.changeTracker.checkNotModified(url)
+      );
+      
+      if (notModified) {
+        console.log(`Unchanged since last crawl: ${url}`);
+        this.changeTracker.markVisited(url);
+      } else {
+        this.pendingValidators.set(url, { etag, lastModified });
+        modified.push(url);
+      }
+    }
+    
+    return modified;
+  }
+  
+  // Tombstone chunks of pages in scope that are missing from the current URL list
+  tombstoneUnlisted(seedUrl, scope, listedUrls) {
+    if (!this.ragSystem.options.incremental) return;
+    
+    const listed = new Set(listedUrls);
+    const removed = this.changeTracker.findRemovedPages(Date.now(), url =>
+      !listed.has(url) && scope.check(url, 1).allowed
+    );
+    
+    for (const url of removed) {
+      this.changeTracker.removePage(url);
+      const count = tombstoneDocuments(this.documentsOf(url), () => true, 'removed');
+      this.markDocumentsChanged(url);
+      console.log(`${url} is no longer listed for ${seedUrl}; tombstoned ${count} chunks`);
+    }
+  }
+  
+  // Crawl the session's pending URLs in checkpointed chunks
+  async runCrawlSession(session) {
+    // Keep each batch within the per-host in-flight limit and pause between
+    // batches for the host's minimum delay (including Crawl-delay)
+    const batchSize = Math.min(this.options.batchSize, this.politeness.options.maxInFlightPerHost);
+    const batchDelay = (await this.politeness.getHostDelay(session.seedUrl)) / 1000;
+    const chunkSize = Math.max(batchSize, this.options.checkpointInterval || 10);
+    
+    try {
+      while (session.pending.length > 0) {
+        const chunkUrls = session.pending.slice(0, chunkSize);
+        
+        // Linked documents are downloaded directly; Crawl4AI renders the pages
+        const { documentIngestor } = this.ragSystem;
+        const documentUrls = documentIngestor ? chunkUrls.filter(link => documentIngestor.isDocumentUrl(link)) : [];
+        const pageUrls = chunkUrls.filter(link => !documentUrls.includes(link));
+        
+        if (pageUrls.length > 0) {
+          const outputPath = await this.runCrawl4AI(pageUrls, batchSize, batchDelay);
+          await this.processCrawledData(outputPath);
+        }
+        if (documentUrls.length > 0) {
+          await this.processDocuments(documentUrls);
+        }
+        
+        session.pending = session.pending.slice(chunkUrls.length);
+        session.completed.push(...chunkUrls);
+        this.saveCheckpoint(session, session.pending.length > 0 ? 'running' : 'complete');
+        
+        if (session.pending.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, batchDelay * 1000));
+        }
+      }
+    } catch (error) {
+      this.saveCheckpoint(session, 'interrupted');
+      throw error;
+    }
+    
+    console.log(`Crawl session ${session.id} complete (${session.completed.length} URLs)`);
+    
+    return {
+      sessionId: session.id,
+      documents: this.documents,
+      vectorStore: this.vectorStore
+    };
+  }
+  
+  // Run Crawl4AI over a list of URLs and return the path of the results file
+  async runCrawl4AI(urls, batchSize, batchDelay) {
+    // Create a temporary Python script for crawling
+    const scriptPath = path.join(this.options.outputDir, 'crawl_website.py');
+    const outputPath = path.join(this.options.outputDir, 'crawled_data.json');
+    
+    // Create a Python script that uses Crawl4AI to crawl the URLs
+    const pythonScript = `
 import asyncio
 import json
 from typing import List, Dict, Any
@@ -163,7 +401,7 @@ import logging
 # Set up logging
 logging.basicConfig(level=logging.INFO)
 
-async def crawl_sites_parallel(urls: List[str], batch_size: int):
+async def crawl_sites_parallel(urls: List[str], batch_size: int, batch_delay: float):
     crawler_config = CrawlerConfig()
     browser_config = BrowserConfig(headless=True)
     
@@ -171,6 +409,9 @@ async def crawl_sites_parallel(urls: List[str], batch_size: int):
     
     # Process URLs in batches
     for i in range(0, len(urls), batch_size):
+        if i > 0:
+            await asyncio.sleep(batch_delay)
+        
         batch = urls[i:i+batch_size]
         print(f"Processing batch {i//batch_size + 1}: {len(batch)} URLs")
         
@@ -197,9 +438,10 @@ async def crawl_sites_parallel(urls: List[str], batch_size: int):
 
 async def main():
     urls = ${JSON.stringify(urls)}
-    batch_size = ${this.options.batchSize}
+    batch_size = ${batchSize}
+    batch_delay = ${batchDelay}
     
-    results = await crawl_sites_parallel(urls, batch_size)
+    results = await crawl_sites_parallel(urls, batch_size, batch_delay)
     
     # Save results to file
     with open("${outputPath}", "w", encoding="utf-8") as f:
@@ -209,25 +451,20 @@ async def main():
 
 if __name__ == "__main__":
     asyncio.run(main())
-      `;
-      
-      fs.writeFileSync(scriptPath, pythonScript);
-      
-      // Execute the Python script
-      console.log(`Starting to crawl ${urls.length} URLs...`);
-      const { stdout, stderr } = await execPromise(`python ${scriptPath}`);
-      
-      console.log(stdout);
-      if (stderr) {
-        console.warn('Warnings during crawl:', stderr);
-      }
-      
-      // Process the crawled data
-      return await this.processCrawledData(outputPath);
-    } catch (error) {
-      console.error('Error crawling website:', error.message);
-      throw error;
+    `;
+    
+    fs.writeFileSync(scriptPath, pythonScript);
+    
+    // Execute the Python script
+    console.log(`Starting to crawl ${urls.length} URLs...`);
+    const { stdout, stderr } = await execPromise(`python ${scriptPath}`);
+    
+    console.log(stdout);
+    if (stderr) {
+      console.warn('Warnings during crawl:', stderr);
     }
+    
+    return outputPath;
   }
   
   // Process the crawled data
@@ -239,36 +476,169 @@ if __name__ == "__main__":
       
       console.log(`Processing ${crawledData.length} crawled pages...`);
       
+      return await this.indexCrawledItems(crawledData);
+    } catch (error) {
+      console.error('Error processing crawled data:', error.message);
+      throw error;
+    }
+  }
+  
+  // Download linked PDF, Word and text documents and index them with their
+  // page or section on every chunk
+  async processDocuments(urls) {
+    const { documentIngestor } = this.ragSystem;
+    const items = [];
+    
+    for (const url of urls) {
+      try {
+        const { auth } = this.ragSystem;
+        const { status, contentType, body } = await this.politeness.schedule(url, () =>
+          documentIngestor.fetch(url, auth ? auth.getRequestHeaders(url) : {})
+        );
+        if (status < 200 || status >= 300) {
+          console.warn(`Skipping document ${url}: HTTP ${status}`);
+          continue;
+        }
+        
+        const document = await documentIngestor.parse(url, body, contentType);
+        if (!document) {
+          console.warn(`Skipping ${url}: not a supported document (${contentType || 'unknown type'})`);
+          continue;
+        }
+        
+        items.push({
+          url,
+          title: document.title,
+          success: true,
+          source: `document:${document.type}`,
+          content: document.sections.map(section => section.markdown).join('\n\n'),
+          sections: document.sections.map(section => ({
+            content: section.markdown,
+            metadata: citationMetadata(document, section)
+          }))
+        });
+      } catch (error) {
+        console.warn(`Error ingesting document ${url}:`, error.message);
+      }
+    }
+    
+    return this.indexCrawledItems(items);
+  }
+  
+  // Chunk, embed and store crawled items ({ url, title, content, success }).
+  // Items with `sections` are chunked per section, copying each section's metadata.
+  async indexCrawledItems(crawledData) {
+    try {
+      // URL variants of the same page are only processed once per batch
+      const processedUrls = new Set();
+      
       // Process each crawled page
       for (const item of crawledData) {
         if (!item.success || !item.content) continue;
         
-        // Chunk the content
-        const chunks = this.chunkText(item.content, this.options.maxTokens);
+        const itemUrl = this.canonicalizer.canonicalize(item.url) || item.url;
+        if (processedUrls.has(itemUrl)) continue;
+        processedUrls.add(itemUrl);
+        
+        // Pages whose content is unchanged keep their chunks and embeddings
+        const contentHash = hashContent(item.content);
+        if (this.changeTracker.isUnchanged(itemUrl, contentHash) && this.hasLiveDocuments(itemUrl)) {
+          console.log(`Unchanged since last crawl: ${itemUrl}`);
+          this.changeTracker.markVisited(itemUrl);
+          continue;
+        }
+        
+        this.changeTracker.beginPage(itemUrl);
         
-        for (const [index, chunk] of chunks.entries()) {
-          try {
-            // Create embedding
-            const embedding = await this.createEmbedding(chunk);
+        // Chunk each section along its headings; chunkIndex counts across the whole item
+        const sections = item.sections || [{ content: item.content, metadata: {} }];
+        const chunks = sections.flatMap(({ content, metadata }) =>
+          this.chunker.chunk(content).map(chunk => ({ chunk, metadata }))
+        );
+        
+        const appearance = { url: itemUrl, source: item.source || 'crawl4ai' };
+        const pending = new Map();
+        const reused = new Map();
+        
+        for (const [index, { chunk, metadata }] of chunks.entries()) {
+          const { content } = chunk;
+          const chunkHash = hashContent(content);
+          const chunkFields = { ...chunkMetadata(chunk), chunkIndex: index };
+          
+          // Only chunks whose text changed are embedded again
+          const existing = this.findDocument(itemUrl, content);
+          if (existing) {
+            reviveDocument(existing);
+            Object.assign(existing, chunkFields);
+            addProvenance(existing, appearance);
+            this.changeTracker.touchChunk(itemUrl, chunkHash);
+            continue;
+          }
+          
+          // Chunks nearly identical to a stored one of this page only add to its provenance
+          const simhash = this.nearDuplicates ? this.nearDuplicates.fingerprint(content) : null;
+          const duplicate = this.findNearDuplicate(itemUrl, simhash, content);
+          if (duplicate && duplicate.url === itemUrl) {
+            addProvenance(duplicate, appearance);
+            this.changeTracker.touchChunk(itemUrl, chunkHashOf(duplicate));
+            continue;
+          }
+          
+          if (!pending.has(content)) {
+            const document = addProvenance({
+              url: itemUrl,
+              title: item.title || itemUrl,
+              content,
+              contentHash: chunkHash,
+              source: item.source || 'crawl4ai',
+              ...metadata,
+              ...chunkFields,
+              ...(this.nearDuplicates ? { simhash } : {}),
+              ...(duplicate ? { nearDuplicateOf: duplicate.url } : {})
+            }, appearance);
+            pending.set(content, document);
             
-            if (embedding) {
-              this.vectorStore.push({
-                url: item.url,
-                embedding
-              });
-              
-              this.documents.push({
-                url: item.url,
-                title: item.title || item.url,
-                content: chunk,
-                chunkIndex: index,
-                source: 'crawl4ai'
-              });
-            }
-          } catch (embeddingError) {
-            console.warn(`Error creating embedding for ${item.url}:`, embeddingError.message);
+            // Near matches on other pages (crossPage) lend their embedding
+            const embedding = duplicate ? this.embeddingOf(duplicate) : null;
+            if (embedding) reused.set(document, embedding);
           }
         }
+        
+        for (const [document, embedding] of reused) {
+          this.storeDocument(document, embedding);
+          this.changeTracker.touchChunk(itemUrl, document.contentHash);
+        }
+        
+        // New chunks are embedded in batches; failures are dead-lettered, see retryFailedEmbeddings
+        const documents = [...pending.values()].filter(document => !reused.has(document));
+        documents.forEach(document => this.embeddingRequests.add(document));
+        const embeddings = await this.embeddings.embedMany(documents.map(doc => doc.content), documents);
+        
+        documents.forEach((document, index) => {
+          if (embeddings[index]) {
+            this.storeDocument(document, embeddings[index]);
+            this.changeTracker.touchChunk(itemUrl, document.contentHash);
+          } else {
+            this.changeTracker.failChunk(itemUrl, document.contentHash);
+          }
+        });
+        
+        // Chunks the new version of the page no longer contains are tombstoned
+        const produced = this.changeTracker.finishPage(itemUrl, {
+          contentHash,
+          ...(this.pendingValidators.get(itemUrl) || {})
+        });
+        this.pendingValidators.delete(itemUrl);
+        
+        const outdated = tombstoneDocuments(this.documentsOf(itemUrl), doc =>
+          !produced.has(chunkHashOf(doc)), 'changed'
+        );
+        if (outdated > 0) {
+          console.log(`Tombstoned ${outdated} outdated chunks of ${itemUrl}`);
+        }
+        
+        // Revived chunks and provenance of existing ones changed too
+        this.markDocumentsChanged(itemUrl);
       }
       
       console.log(`Processed ${this.documents.length} document chunks with embeddings`);
@@ -278,82 +648,58 @@ if __name__ == "__main__":
         vectorStore: this.vectorStore
       };
     } catch (error) {
-      console.error('Error processing crawled data:', error.message);
+      console.error('Error indexing crawled content:', error.message);
       throw error;
     }
   }
   
-  // Create embeddings using OpenAI
+  // A live document nearly identical to `content`, with this fingerprint and
+  // the same numbers. Chunks of the same page only match when stored during
+  // its current re-index; other pages' chunks only with crossPage.
+  findNearDuplicate(itemUrl, simhash, content) {
+    if (!this.nearDuplicates || !simhash) return null;
+    
+    this.nearDuplicates.sync(this.documents);
+    return this.nearDuplicates.find(simhash, doc => (doc.url === itemUrl
+      ? this.changeTracker.hasTouchedChunk(itemUrl, chunkHashOf(doc))
+      : this.nearDuplicates.options.crossPage), content);
+  }
+  
+  // Create an embedding for one text; concurrent calls share batched requests
   async createEmbedding(text) {
-    try {
-      const response = await openai.embeddings.create({
-        model: this.options.embeddingModel,
-        input: text
-      });
-      return response.data[0].embedding;
-    } catch (error) {
-      console.error('Error creating embedding:', error);
-      return null;
-    }
+    return this.embeddings.embed(text);
   }
   
-  // Chunk text into manageable pieces
-  chunkText(text, maxTokens = 1000) {
-    const tokens = encode(text);
-    
-    if (tokens.length <= maxTokens) {
-      return [text];
-    }
-    
-    const chunks = [];
-    let currentChunk = [];
-    let currentLength = 0;
-    
-    // Split by paragraphs first
-    const paragraphs = text.split('\n\n');
+  storeDocument(document, embedding) {
+    this.vectorStore.push({
+      url: document.url,
+      embedding
+    });
+    this.indexDocuments();
+    this.documents.push(document);
+    this.addDocumentKeys(document, this.documents.length - 1);
+    if (this.nearDuplicates) this.nearDuplicates.add(document);
+  }
+  
+  // Embed dead-lettered chunks again and store the ones that succeed.
+  // Resolves with the number of chunks stored.
+  async retryFailedEmbeddings() {
+    const results = await this.embeddings.retryDeadLetters(entry => this.embeddingRequests.has(entry.context));
+    let stored = 0;
     
-    for (const paragraph of paragraphs) {
-      const paragraphTokens = encode(paragraph);
+    for (const { context: document, embedding } of results) {
+      if (this.findDocument(document.url, document.content)) continue;
       
-      if (currentLength + paragraphTokens.length <= maxTokens) {
-        currentChunk.push(paragraph);
-        currentLength += paragraphTokens.length;
-      } else {
-        if (currentChunk.length > 0) {
-          chunks.push(currentChunk.join('\n\n'));
-          currentChunk = [paragraph];
-          currentLength = paragraphTokens.length;
-        } else {
-          // Handle case where a single paragraph exceeds max tokens
-          const words = paragraph.split(' ');
-          let tempChunk = [];
-          let tempLength = 0;
-          
-          for (const word of words) {
-            const wordTokens = encode(word + ' ').length;
-            
-            if (tempLength + wordTokens <= maxTokens) {
-              tempChunk.push(word);
-              tempLength += wordTokens;
-            } else {
-              chunks.push(tempChunk.join(' '));
-              tempChunk = [word];
-              tempLength = wordTokens;
-            }
-          }
-          
-          if (tempChunk.length > 0) {
-            chunks.push(tempChunk.join(' '));
-          }
-        }
+      // The page may have changed, been removed or be re-indexing since the chunk failed
+      if (!this.changeTracker.recoverChunk(document.url, document.contentHash)) {
+        console.log(`Dropping retried chunk of ${document.url}: the page no longer produces it`);
+        continue;
       }
+      this.storeDocument(document, embedding);
+      stored++;
     }
     
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk.join('\n\n'));
-    }
-    
-    return chunks;
+    return stored;
   }
   
   // Import data into RAG system
@@ -374,18 +720,24 @@ if __name__ == "__main__":
     return this.ragSystem.generateResponse(query);
   }
   
-  // Save the knowledge base
+  // Save this adapter's documents, vectors and page state, so a later
+  // recrawl after loadKnowledgeBase stays incremental
   saveKnowledgeBase(filePath) {
-    this.ragSystem.exportKnowledgeBase(filePath);
+    this.ragSystem.exportKnowledgeBase(filePath, {
+      documents: this.documents,
+      vectorStore: this.vectorStore,
+      pages: this.changeTracker.toJSON()
+    });
   }
   
-  // Load a previously saved knowledge base
+  // Load a previously saved knowledge base into the adapter and its RAG system
   loadKnowledgeBase(filePath) {
     const result = this.ragSystem.importKnowledgeBase(filePath);
     
     if (result) {
       this.documents = [...this.ragSystem.documents];
       this.vectorStore = [...this.ragSystem.vectorStore];
+      this.changeTracker.load(structuredClone(this.ragSystem.changeTracker.toJSON()));
     }
     
     return result;
@@ -0,0 +1,112 @@
+// Crawl Frontier Module
+// Priority queue of URLs waiting to be crawled, with depth tracking and
+// duplicate suppression shared by all concurrent crawl workers
+
+class CrawlFrontier {
+  constructor(options = {}) {
+    this.options = {
+      maxDepth: 0,
+      ...options
+    };
+    
+    // URLs that have been queued or crawled, so hub pages are only visited once
+    this.seen = this.options.visited || new Set();
+    this.heap = [];
+    this.sequence = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  has(url) {
+    return this.seen.has(url);
+  }
+
+  // Mark a URL as visited without queueing it (e.g. reached through SPA navigation)
+  markSeen(url) {
+    this.seen.add(url);
+  }
+
+  // Queue a URL unless it was already seen or lies beyond the max depth.
+  // Lower priority values are crawled first; by default that is the depth,
+  // which makes the crawl breadth-first.
+  add(url, depth = 0, priority = depth) {
+    if (this.seen.has(url) || depth > this.options.maxDepth) {
+      return false;
+    }
+    
+    this.seen.add(url);
+    this.requeue({ url, depth, priority });
+    return true;
+  }
+
+  // Put an entry on the queue even if its URL was already seen
+  // (used when restoring in-flight entries from a checkpoint)
+  requeue({ url, depth = 0, priority = depth }) {
+    this.heap.push({ url, depth, priority, sequence: this.sequence++ });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  // Remove and return the highest-priority entry, or null when empty
+  next() {
+    if (this.heap.length === 0) return null;
+    
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  // Serializable snapshot of the queue and seen set, for checkpoints
+  toJSON() {
+    return {
+      maxDepth: this.options.maxDepth,
+      pending: this.heap.map(({ url, depth, priority }) => ({ url, depth, priority })),
+      seen: [...this.seen]
+    };
+  }
+
+  static fromJSON(data) {
+    const frontier = new CrawlFrontier({ maxDepth: data.maxDepth, visited: new Set(data.seen) });
+    for (const entry of data.pending) {
+      frontier.requeue(entry);
+    }
+    return frontier;
+  }
+
+  compare(a, b) {
+    return (a.priority - b.priority) || (a.depth - b.depth) || (a.sequence - b.sequence);
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(this.heap[index], this.heap[parent]) >= 0) break;
+      [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      
+      if (left < length && this.compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
+      if (right < length && this.compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
+      if (smallest === index) break;
+      
+      [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = { CrawlFrontier };
@@ -0,0 +1,147 @@
+// Crawl Scope Module
+// Declarative include/exclude rules deciding which URLs a crawl may visit
+
+// Extensions that never contain indexable page content
+const DEFAULT_BLOCKED_EXTENSIONS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico', '.bmp',
+  '.mp3', '.mp4', '.avi', '.mov', '.webm', '.wav',
+  '.zip', '.tar', '.gz', '.rar', '.7z', '.dmg', '.exe', '.msi',
+  '.css', '.js', '.woff', '.woff2', '.ttf', '.eot'
+];
+
+// Convert a glob ("/docs/**", "*.html") into a RegExp. "**" crosses path
+// segments, "*" and "?" do not, and a trailing "/**" also matches the bare prefix.
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      const trailing = glob[i - 1] === '/' && i + 2 === glob.length;
+      if (trailing) {
+        source = source.slice(0, -1) + '(?:/.*)?';
+      } else {
+        source += '.*';
+      }
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+class CrawlScope {
+  constructor(seedUrl, options = {}) {
+    this.options = {
+      allowedHosts: null,         // Defaults to the seed URL's host
+      allowSubdomains: false,     // true, or a list of subdomain labels such as ['docs', 'api']
+      pathPrefixes: [],
+      include: [],                // Globs or RegExps; a URL must match one if any are given
+      exclude: [],                // Globs or RegExps; matching URLs are always skipped
+      allowedExtensions: null,    // e.g. ['', '.html'] to crawl only extensionless and .html paths
+      blockedExtensions: DEFAULT_BLOCKED_EXTENSIONS,
+      maxDepth: null,
+      depthRules: [],             // [{ pattern: '/blog/**', maxDepth: 1 }]
+      ...options
+    };
+    
+    const seed = new URL(seedUrl);
+    this.allowedHosts = (this.options.allowedHosts || [seed.hostname]).map(host => host.toLowerCase());
+    this.include = this.options.include.map(pattern => this.compile(pattern));
+    this.exclude = this.options.exclude.map(pattern => this.compile(pattern));
+    this.depthRules = this.options.depthRules.map(rule => ({ ...rule, matcher: this.compile(rule.pattern) }));
+  }
+
+  // Globs containing "://" match the whole URL, other globs match the path
+  compile(pattern) {
+    if (pattern instanceof RegExp) {
+      return { test: url => pattern.test(url.href) || pattern.test(url.pathname) };
+    }
+    
+    const regex = globToRegExp(pattern);
+    return pattern.includes('://')
+      ? { test: url => regex.test(url.href) }
+      : { test: url => regex.test(url.pathname) };
+  }
+
+  isHostAllowed(hostname) {
+    const { allowSubdomains } = this.options;
+    
+    return this.allowedHosts.some(host => {
+      if (hostname === host) return true;
+      if (!allowSubdomains || !hostname.endsWith(`.${host}`)) return false;
+      if (allowSubdomains === true) return true;
+      
+      const label = hostname.slice(0, -(host.length + 1));
+      return allowSubdomains.includes(label);
+    });
+  }
+
+  getExtension(pathname) {
+    const lastSegment = pathname.split('/').pop();
+    const dot = lastSegment.lastIndexOf('.');
+    return dot > 0 ? lastSegment.slice(dot).toLowerCase() : '';
+  }
+
+  // Decide whether a URL at the given link depth is in scope
+  check(url, depth = 0) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'invalid URL' };
+    }
+    
+    if (!this.isHostAllowed(parsed.hostname)) {
+      return { allowed: false, reason: `host ${parsed.hostname} is out of scope` };
+    }
+    
+    const { pathPrefixes, allowedExtensions, blockedExtensions, maxDepth } = this.options;
+    
+    if (pathPrefixes.length > 0 && !pathPrefixes.some(prefix => parsed.pathname.startsWith(prefix))) {
+      return { allowed: false, reason: 'path outside allowed prefixes' };
+    }
+    
+    const extension = this.getExtension(parsed.pathname);
+    if (allowedExtensions && !allowedExtensions.includes(extension)) {
+      return { allowed: false, reason: `extension "${extension}" not allowed` };
+    }
+    if (extension && blockedExtensions.includes(extension)) {
+      return { allowed: false, reason: `extension "${extension}" is blocked` };
+    }
+    
+    if (this.exclude.some(matcher => matcher.test(parsed))) {
+      return { allowed: false, reason: 'matches an exclude pattern' };
+    }
+    if (this.include.length > 0 && !this.include.some(matcher => matcher.test(parsed))) {
+      return { allowed: false, reason: 'matches no include pattern' };
+    }
+    
+    // The first matching depth rule wins over the global max depth
+    const rule = this.depthRules.find(({ matcher }) => matcher.test(parsed));
+    const depthLimit = rule ? rule.maxDepth : maxDepth;
+    if (depthLimit !== null && depthLimit !== undefined && depth > depthLimit) {
+      return { allowed: false, reason: `depth ${depth} exceeds limit ${depthLimit}` };
+    }
+    
+    return { allowed: true, reason: null };
+  }
+
+  // Keep only in-scope URLs, logging how many were dropped
+  filter(urls, depth = 0) {
+    const inScope = urls.filter(url => this.check(url, depth).allowed);
+    if (inScope.length < urls.length) {
+      console.log(`Skipped ${urls.length - inScope.length} out-of-scope URLs`);
+    }
+    return inScope;
+  }
+}
+
+module.exports = { CrawlScope, globToRegExp, DEFAULT_BLOCKED_EXTENSIONS };
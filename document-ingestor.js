@@ -0,0 +1,226 @@
+// Document Ingestor Module
+// Downloads linked PDF, Word (.docx), plain-text and markdown documents and
+// converts them to markdown sections that keep their page and heading boundaries
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const path = require('path');
+
+// Content types and file extensions for each supported document type
+const DOCUMENT_TYPES = {
+  pdf: {
+    contentTypes: ['application/pdf', 'application/x-pdf'],
+    extensions: ['.pdf']
+  },
+  docx: {
+    contentTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  text: {
+    contentTypes: ['text/plain'],
+    extensions: ['.txt']
+  },
+  markdown: {
+    contentTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown']
+  }
+};
+
+// Content types that say nothing about the format, so the extension decides
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/download'];
+
+// Metadata stored on every chunk of a document section, used to cite it
+function citationMetadata(document, section) {
+  return {
+    title: document.title,
+    documentType: document.type,
+    ...(section.page ? { page: section.page } : {}),
+    ...(section.section ? { section: section.section } : {})
+  };
+}
+
+// "url (page 3)" or "url, section "Setup"" for prompts and source lists
+function citationLabel(doc) {
+  if (doc.page) return `${doc.url} (page ${doc.page})`;
+  if (doc.section) return `${doc.url}, section "${doc.section}"`;
+  return doc.url;
+}
+
+class DocumentIngestor {
+  constructor(options = {}) {
+    this.options = {
+      types: Object.keys(DOCUMENT_TYPES),   // Document types to ingest
+      maxBytes: 25 * 1024 * 1024,
+      userAgent: 'DynamicRAGBot',
+      timeout: 30000,
+      htmlToMarkdown: null,                 // (html) => markdown for converted Word documents
+      ...options
+    };
+  }
+
+  // Document type of a URL from its content type, falling back to the
+  // extension when the server sends none or a generic one; null for pages
+  detectType(url, contentType = '') {
+    const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+    
+    if (!GENERIC_CONTENT_TYPES.includes(mimeType)) {
+      return this.options.types.find(type => DOCUMENT_TYPES[type].contentTypes.includes(mimeType)) || null;
+    }
+    
+    let extension = '';
+    try {
+      extension = path.extname(new URL(url).pathname).toLowerCase();
+    } catch {
+      return null;
+    }
+    return this.options.types.find(type => DOCUMENT_TYPES[type].extensions.includes(extension)) || null;
+  }
+
+  // Whether a link points at a document, judging by its extension alone
+  isDocumentUrl(url) {
+    return this.detectType(url) !== null;
+  }
+
+  async fetch(url, headers = {}) {
+    const response = await axios.get(url, {
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: this.options.maxBytes,
+      headers: { 'User-Agent': this.options.userAgent, ...headers },
+      validateStatus: () => true
+    });
+    
+    return {
+      status: response.status,
+      contentType: String(response.headers['content-type'] || '').toLowerCase(),
+      headers: response.headers,
+      body: Buffer.from(response.data)
+    };
+  }
+
+  // Convert a downloaded document to { type, title, sections: [{ markdown, page, section }] },
+  // or null when the content type is not a supported document
+  async parse(url, body, contentType = '') {
+    const type = this.detectType(url, contentType);
+    if (!type) return null;
+    
+    if (body.length > this.options.maxBytes) {
+      throw new Error(`${url} is larger than ${this.options.maxBytes} bytes`);
+    }
+    
+    const fallbackTitle = this.fileName(url);
+    let document;
+    
+    if (type === 'pdf') {
+      document = await this.parsePdf(body);
+    } else if (type === 'docx') {
+      document = await this.parseDocx(body);
+    } else if (type === 'markdown') {
+      document = this.parseMarkdown(body.toString('utf8'));
+    } else {
+      document = { title: null, sections: [{ markdown: body.toString('utf8').trim() }] };
+    }
+    
+    return {
+      type,
+      title: document.title || fallbackTitle,
+      sections: document.sections.filter(section => section.markdown)
+    };
+  }
+
+  fileName(url) {
+    try {
+      return decodeURIComponent(path.basename(new URL(url).pathname)) || url;
+    } catch {
+      return url;
+    }
+  }
+
+  // One section per PDF page, so chunks can cite the page they came from
+  async parsePdf(body) {
+    const pdfParse = require('pdf-parse');
+    const pages = [];
+    
+    const data = await pdfParse(body, {
+      // pdf-parse renders pages in order; keep each page's text separately
+      pagerender: pageData => pageData.getTextContent().then(textContent => {
+        let lastY = null;
+        let text = '';
+        
+        for (const item of textContent.items) {
+          // A new baseline starts a new line
+          if (lastY !== null && item.transform[5] !== lastY) text += '\n';
+          text += item.str;
+          lastY = item.transform[5];
+        }
+        
+        pages.push(text);
+        return text;
+      })
+    });
+    
+    return {
+      title: (data.info && data.info.Title) || null,
+      sections: pages.map((text, index) => ({
+        markdown: text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+        page: index + 1
+      }))
+    };
+  }
+
+  // Convert a Word document to HTML with mammoth and split it at headings
+  async parseDocx(body) {
+    const mammoth = require('mammoth');
+    const { value: html } = await mammoth.convertToHtml({ buffer: body });
+    const $ = cheerio.load(html);
+    const toMarkdown = this.options.htmlToMarkdown || (fragment => cheerio.load(fragment).text().trim());
+    
+    const sections = [];
+    let current = { section: null, html: '' };
+    
+    $('body').children().each((_, el) => {
+      if (/^h[1-6]$/i.test(el.tagName)) {
+        sections.push(current);
+        current = { section: $(el).text().trim() || null, html: '' };
+      }
+      current.html += $.html(el);
+    });
+    sections.push(current);
+    
+    return {
+      title: $('h1').first().text().trim() || null,
+      sections: sections.map(({ section, html: sectionHtml }) => ({
+        markdown: sectionHtml ? toMarkdown(sectionHtml) : '',
+        section
+      }))
+    };
+  }
+
+  // Split a markdown file at its ATX headings, outside fenced code blocks
+  parseMarkdown(text) {
+    const sections = [];
+    let current = { section: null, lines: [] };
+    let inFence = false;
+    
+    for (const line of text.split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      
+      const heading = !inFence && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        sections.push(current);
+        current = { section: heading[1], lines: [] };
+      }
+      current.lines.push(line);
+    }
+    sections.push(current);
+    
+    const title = text.match(/^#\s+(.+?)\s*#*\s*$/m);
+    
+    return {
+      title: title ? title[1] : null,
+      sections: sections.map(({ section, lines }) => ({ markdown: lines.join('\n').trim(), section }))
+    };
+  }
+}
+
+module.exports = { DocumentIngestor, DOCUMENT_TYPES, citationMetadata, citationLabel };
@@ -3,52 +3,76 @@
 // and incorporates BM25 for content filtering
 
 const { chromium } = require('playwright');
-const { encode } = require('gpt-3-encoder');
 const { OpenAI } = require('openai');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const { BM25 } = require('search-query-parser');
+const { CrawlFrontier } = require('./crawl-frontier');
+const { BrowserContextPool } = require('./browser-context-pool');
+const { PolitenessManager } = require('./politeness');
+const { CrawlCheckpointStore } = require('./crawl-checkpoint');
+const { UrlCanonicalizer, DEFAULT_STRIPPED_PARAMS } = require('./url-canonicalizer');
+const { CrawlScope } = require('./crawl-scope');
+const { AuthManager } = require('./crawl-auth');
+const { ScrollExplorer } = require('./scroll-explorer');
+const { NetworkCapture } = require('./network-capture');
+const { InteractionExplorer } = require('./interaction-explorer');
+const { selectorProfileFor } = require('./interactive-selectors');
+const { EmbeddedContentExtractor } = require('./embedded-content');
+const { HashRouteNavigator } = require('./hash-routes');
+const { SitemapReader } = require('./sitemap');
+const { DocumentIngestor, citationMetadata, citationLabel } = require('./document-ingestor');
+const { MetadataExtractor, matchesFilters, getField, fieldText } = require('./metadata-extractor');
+const { MarkdownConverter } = require('./html-to-markdown');
+const { ContentExtractor } = require('./content-extractor');
+const { Chunker, chunkMetadata } = require('./chunker');
+const { NearDuplicateDetector, addProvenance } = require('./near-duplicate');
+const { EmbeddingPipeline } = require('./embedding-pipeline');
+const { EmbeddingCache } = require('./embedding-cache');
+const { createEmbeddingProvider } = require('./embedding-providers');
+const {
+  ChangeTracker,
+  hashContent,
+  chunkHashOf,
+  liveDocuments,
+  tombstoneDocuments,
+  reviveDocument
+} = require('./change-tracker');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Interactive element selectors
-const interactiveSelectors = {
-  // Buttons and clickable controls
-  buttons: [
-    'button:visible',
-    'input[type="button"]:visible', 
-    'input[type="submit"]:visible',
-    'a[role="button"]:visible',
-    '.btn:visible',
-    '.button:visible',
-    '[class*="btn-"]:visible',
-    // ...and more from the provided list
-  ],
-  // Other selector categories from the provided list
-  expandables: [
-    '[aria-expanded="false"]:visible',
-    '.expand:visible',
-    '.collapse:visible',
-    // ...and more
-  ],
-  // Additional selectors can be included as needed
+// OpenAI client for answers, created on first use so crawling and indexing
+// with a local embedding provider need no API key
+let openai = null;
+function getOpenAI() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+}
+
+// BM25 weight of each document field; metadata fields come from MetadataExtractor
+const DEFAULT_BM25_FIELD_WEIGHTS = {
+  title: 2,
+  description: 1.5,
+  keywords: 1,
+  author: 0.5,
+  jsonLd: 0.5,
+  content: 1
 };
 
 // Class for BM25-based content filtering
 class BM25Ranker {
-  constructor(documents, fieldWeights = { title: 2, content: 1 }) {
+  constructor(documents, fieldWeights = DEFAULT_BM25_FIELD_WEIGHTS) {
     this.fieldWeights = fieldWeights;
     this.documents = documents;
     this.bm25Models = {};
     
-    // Create a BM25 model for each field
+    // Create a BM25 model for each field (dotted paths such as "openGraph.type" work too)
     Object.keys(this.fieldWeights).forEach(field => {
-      const fieldCorpus = documents.map(doc => this.tokenize(doc[field] || ''));
+      const fieldCorpus = documents.map(doc => this.tokenize(fieldText(getField(doc, field))));
       this.bm25Models[field] = new BM25(fieldCorpus);
     });
   }
@@ -93,9 +117,40 @@ class DynamicWebsiteRAG {
       interactionDelay: 1000,
       scrollDepth: 3,
       maxTokens: 8000,
+      concurrency: 3,
+      maxPages: 100,
+      maxLinksPerPage: 25,
+      respectRobotsTxt: true,
+      robotsUserAgent: 'DynamicRAGBot',
+      minHostDelay: 1000,
+      maxInFlightPerHost: 2,
+      checkpointDir: './crawl_checkpoints',
+      checkpointInterval: 10,
+      stripQueryParams: DEFAULT_STRIPPED_PARAMS,
+      honorCanonicalTags: true,
+      useSitemaps: true, // Seed crawls deeper than the start page from robots.txt/sitemap.xml
+      incremental: true, // Skip unchanged pages on recrawl and tombstone chunks of changed or removed pages
+      crawlScope: {}, // See CrawlScope; defaults to the seed URL's host
+      auth: null, // See AuthManager; login flow, storage state, cookies and headers
+      captureNetwork: false, // true or NetworkCapture options to index XHR/fetch JSON responses
+      interactionSafety: {}, // InteractionExplorer overrides: denyTexts, denyAriaLabels, denySelectors, allowFormSubmit
+      selectorProfiles: {}, // { '*' | hostname: { category: false | [selectors] | { selectors, extend, budget } } }
+      embeddedContent: {}, // EmbeddedContentExtractor overrides: shadowDom, frames, allowedFrameOrigins, maxFrames
+      hashRoutes: {}, // HashRouteNavigator overrides: maxRoutesPerPage, hashChangeTimeout, settleDelay
+      ingestDocuments: true, // true, false or DocumentIngestor options (types, maxBytes) for linked PDF/DOCX/text files
+      extractMetadata: true, // Store title, description, dates, OpenGraph and JSON-LD on every chunk of a page
+      markdown: {}, // MarkdownConverter overrides: includeTitle, images, imagesWithoutAlt, links
+      extractMainContent: true, // true, false or ContentExtractor options (siteRules with keep/drop selectors, dropBoilerplate)
+      chunking: {}, // Chunker overrides: overlapTokens, breadcrumbs ('prepend' | 'metadata' | false), breadcrumbSeparator
+      nearDuplicates: true, // true, false or NearDuplicateDetector options (threshold, minWords, crossPage)
+      embeddingPipeline: {}, // EmbeddingPipeline overrides: maxBatchSize, maxBatchTokens, concurrency, maxRetries
+      embeddingCache: true, // true, false, EmbeddingCache options (cacheDir, maxEntries, maxBytes) or an EmbeddingCache to share
+      bm25FieldWeights: DEFAULT_BM25_FIELD_WEIGHTS,
       embeddingModel: 'text-embedding-3-small',
+      embeddingProvider: 'openai', // 'openai', 'openai-compatible', 'local', { type, ...options } or a custom { id, embed(texts) }
       llmModel: 'gpt-3.5-turbo',
       temperature: 0.0,
+      generateAnswer: null, // async (prompt, { temperature }) => answer text, e.g. a local LLM; defaults to the OpenAI llmModel
       ...options
     };
     
@@ -103,6 +158,128 @@ class DynamicWebsiteRAG {
     this.vectorStore = [];
     this.documents = [];
     this.interactiveElementsMap = new Map();
+    this.interactionStatesMap = new Map();
+    
+    // Robots.txt and per-host rate limits, shared with adapters that wrap this system
+    this.politeness = new PolitenessManager({
+      userAgent: this.options.robotsUserAgent,
+      respectRobotsTxt: this.options.respectRobotsTxt,
+      minHostDelay: this.options.minHostDelay,
+      maxInFlightPerHost: this.options.maxInFlightPerHost
+    });
+    
+    // On-disk crawl session checkpoints used by resumeCrawl
+    this.checkpoints = new CrawlCheckpointStore({ checkpointDir: this.options.checkpointDir });
+    
+    // Shared URL normalization for links, sitemaps and stored documents
+    this.canonicalizer = new UrlCanonicalizer({
+      stripQueryParams: this.options.stripQueryParams,
+      honorCanonicalTags: this.options.honorCanonicalTags
+    });
+    this.documentKeys = new Map();
+    this.documentsByUrl = new Map();
+    this.documentPositions = new Map();
+    this.documentKeysSource = null;
+    
+    // URL -> number of the latest in-place change to its stored chunks, so
+    // checkpoints only log chunks changed since the previous one
+    this.documentChanges = new Map();
+    this.documentChangeCount = 0;
+    
+    // Sitemap discovery shared with the Crawl4AI adapter; canonical URL -> { lastmod, changefreq, priority }
+    this.sitemaps = new SitemapReader({ politeness: this.politeness, userAgent: this.options.robotsUserAgent });
+    this.sitemapEntries = new Map();
+    
+    // ETag/Last-Modified and content hashes from earlier crawls, for incremental recrawls
+    this.changeTracker = new ChangeTracker({ userAgent: this.options.robotsUserAgent });
+    
+    // Optional authentication for crawling pages behind a login
+    this.auth = this.options.auth ? new AuthManager(this.options.auth) : null;
+    
+    // Infinite-scroll and "load more" exploration, up to scrollDepth rounds per page
+    this.scrollExplorer = new ScrollExplorer({
+      scrollDepth: this.options.scrollDepth,
+      scrollDelay: this.options.interactionDelay
+    });
+    
+    // Optional capture of JSON API responses as additional documents
+    const { captureNetwork } = this.options;
+    this.networkCapture = captureNetwork
+      ? new NetworkCapture(typeof captureNetwork === 'object' ? captureNetwork : {})
+      : null;
+    
+    // Clicks elements safely and records a replayable path for each new UI state
+    this.interactionExplorer = new InteractionExplorer({
+      maxInteractions: this.options.maxInteractions,
+      interactionDelay: this.options.interactionDelay,
+      ...this.options.interactionSafety
+    });
+    
+    // Open shadow roots and allowed iframes are serialized into captured HTML
+    this.embeddedContent = new EmbeddedContentExtractor(this.options.embeddedContent);
+    
+    // Client-side navigation between #/ and #!/ routes of hash-routed apps
+    this.hashRoutes = new HashRouteNavigator(this.options.hashRoutes);
+    
+    // HTML to markdown conversion keeping tables, code blocks and links
+    this.markdownConverter = new MarkdownConverter(this.options.markdown);
+    
+    // Main content is kept and navigation, footers and consent banners dropped before conversion
+    const { extractMainContent } = this.options;
+    this.contentExtractor = extractMainContent
+      ? new ContentExtractor(typeof extractMainContent === 'object' ? extractMainContent : {})
+      : null;
+    
+    // Heading-aware chunking shared with the Crawl4AI adapter
+    this.chunker = new Chunker({ maxTokens: this.options.maxTokens, ...this.options.chunking });
+    
+    // SimHash matching of chunks that repeat across pages and UI states with small changes
+    const { nearDuplicates } = this.options;
+    this.nearDuplicates = nearDuplicates
+      ? new NearDuplicateDetector(typeof nearDuplicates === 'object' ? nearDuplicates : {})
+      : null;
+    
+    // Embeddings of text seen before are read from disk instead of requested again.
+    // Instances on the same cacheDir must share one EmbeddingCache, whose
+    // in-memory index enforces the limits and decides what to evict.
+    const { embeddingCache } = this.options;
+    if (embeddingCache instanceof EmbeddingCache) {
+      this.embeddingCache = embeddingCache;
+    } else {
+      this.embeddingCache = embeddingCache
+        ? new EmbeddingCache(typeof embeddingCache === 'object' ? embeddingCache : {})
+        : null;
+    }
+    
+    // Where embeddings come from: the OpenAI API, a compatible server or the local CPU
+    this.embeddingProvider = createEmbeddingProvider(this.options.embeddingProvider, {
+      model: this.options.embeddingModel
+    });
+    
+    // Batched embedding requests with retries and a dead-letter list
+    this.embeddings = new EmbeddingPipeline({
+      embed: texts => this.embeddingProvider.embed(texts),
+      model: this.embeddingProvider.id,
+      cache: this.embeddingCache,
+      ...this.options.embeddingPipeline
+    });
+    
+    // Documents sent to the pipeline by this instance; adapters share the
+    // pipeline, so each retries only its own dead letters
+    this.embeddingRequests = new WeakSet();
+    
+    // Page titles, descriptions, dates, OpenGraph and JSON-LD for stored chunks
+    this.metadataExtractor = new MetadataExtractor();
+    
+    // Linked PDF, Word and text documents are downloaded and indexed per page or section
+    const { ingestDocuments } = this.options;
+    this.documentIngestor = ingestDocuments
+      ? new DocumentIngestor({
+        userAgent: this.options.robotsUserAgent,
+        htmlToMarkdown: html => this.htmlToMarkdown(html),
+        ...(typeof ingestDocuments === 'object' ? ingestDocuments : {})
+      })
+      : null;
   }
 
   // Initialize browser
@@ -119,79 +296,79 @@ class DynamicWebsiteRAG {
       await this.pageBrowser.close();
       this.pageBrowser = null;
     }
+    if (this.embeddingCache) {
+      this.embeddingCache.save();
+    }
   }
 
-  // Convert HTML to markdown-like format for better LLM processing
-  htmlToMarkdown(html) {
-    const $ = cheerio.load(html);
-    
-    // Remove script and style tags
-    $('script, style, iframe, noscript').remove();
-    
-    // Extract meaningful content
-    let markdown = '';
-    
-    // Extract title
-    const title = $('title').text().trim();
-    if (title) markdown += `# ${title}\n\n`;
-    
-    // Extract headings and paragraphs
-    $('h1, h2, h3, h4, h5, h6, p, li, .content, article, [role="main"]').each((_, el) => {
-      const $el = $(el);
-      const tagName = el.tagName.toLowerCase();
-      const text = $el.text().trim();
-      
-      if (!text) return;
-      
-      if (tagName.startsWith('h')) {
-        const level = parseInt(tagName.charAt(1));
-        markdown += `${'#'.repeat(level)} ${text}\n\n`;
-      } else if (tagName === 'li') {
-        markdown += `* ${text}\n`;
-      } else {
-        markdown += `${text}\n\n`;
-      }
-    });
-    
-    // Clean up the markdown (remove extra spaces, newlines, etc.)
-    return markdown
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
+  // Convert the main content of a page to GitHub-flavored markdown for better
+  // LLM processing, resolving relative links against the page URL, which also
+  // selects the site's keep/drop rules
+  htmlToMarkdown(html, baseUrl = null) {
+    const content = this.contentExtractor ? this.contentExtractor.extract(html, baseUrl).html : html;
+    return this.markdownConverter.convert(content, baseUrl);
   }
 
-  // Create embeddings for text using OpenAI
+  // Create an embedding for one text; concurrent calls share batched requests
   async createEmbedding(text) {
-    try {
-      const response = await openai.embeddings.create({
-        model: this.options.embeddingModel,
-        input: text
-      });
-      return response.data[0].embedding;
-    } catch (error) {
-      console.error('Error creating embedding:', error);
-      return null;
-    }
+    return this.embeddings.embed(text);
   }
 
-  // Calculate cosine similarity between two vectors
+  // Calculate cosine similarity between two vectors; vectors of different
+  // sizes come from different providers and never match
   cosineSimilarity(vecA, vecB) {
+    if (vecA.length !== vecB.length) return 0;
     const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
     const magA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
     const magB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
     return dotProduct / (magA * magB);
   }
 
-  // Search the vector store for similar documents
-  async semanticSearch(query, topK = 5) {
+  // The embedding provider and vector size of a vector store, saved with
+  // exports and checkpoints
+  embeddingInfo(vectorStore = this.vectorStore) {
+    const first = vectorStore.find(item => item.embedding);
+    return {
+      provider: this.embeddingProvider.id,
+      dimensions: first ? first.embedding.length : null
+    };
+  }
+
+  // Why saved vectors cannot be searched with this instance's provider, or
+  // null. Data saved without provider information is accepted with a warning.
+  embeddingMismatch(saved, vectorStore = []) {
+    const { id } = this.embeddingProvider;
+    const dimensions = new Set(vectorStore.filter(item => item.embedding).map(item => item.embedding.length));
+    if (dimensions.size === 0) return null;
+    
+    if (!saved) {
+      console.warn(`No embedding provider recorded with the vectors; assuming ${id}`);
+    } else if (saved.provider !== id) {
+      return `its vectors were built with ${saved.provider}, but this instance embeds with ${id}`;
+    }
+    if (dimensions.size > 1) {
+      return `its vectors have different dimensions (${[...dimensions].join(', ')})`;
+    }
+    return null;
+  }
+
+  // Search the vector store for similar documents matching the filters
+  // (see matchesFilters, e.g. { language: 'en', publishedAfter: '2024-01-01' })
+  async semanticSearch(query, topK = 5, filters = {}) {
     try {
       const queryEmbedding = await this.createEmbedding(query);
       if (!queryEmbedding) return [];
       
-      // Calculate similarity scores
-      const similarities = this.vectorStore.map((item, idx) => ({
-        index: idx,
-        score: this.cosineSimilarity(queryEmbedding, item.embedding)
-      }));
+      // Calculate similarity scores, ignoring tombstoned and filtered-out chunks
+      const similarities = this.vectorStore
+        .map((item, idx) => ({
+          index: idx,
+          score: this.cosineSimilarity(queryEmbedding, item.embedding)
+        }))
+        .filter(item => {
+          const doc = this.documents[item.index];
+          return !doc.tombstoned && matchesFilters(doc, filters);
+        });
       
       // Sort by similarity and return top results
       return similarities
@@ -204,37 +381,14 @@ class DynamicWebsiteRAG {
     }
   }
 
-  // Find and interact with dynamic elements on a page
-  async exploreInteractiveElements(page) {
-    const interactiveElements = [];
-    
-    // Find all interactive elements using the selectors
-    for (const [category, selectors] of Object.entries(interactiveSelectors)) {
-      for (const selector of selectors) {
-        try {
-          const elements = await page.$$(selector);
-          for (const element of elements) {
-            const text = await element.textContent();
-            const tagName = await element.evaluate(el => el.tagName);
-            const rect = await element.boundingBox();
-            
-            if (rect && rect.width > 0 && rect.height > 0) {
-              interactiveElements.push({
-                element,
-                text: text.trim(),
-                category,
-                tagName,
-                selector
-              });
-            }
-          }
-        } catch (error) {
-          console.warn(`Error finding elements with selector "${selector}":`, error.message);
-        }
-      }
-    }
-    
-    return interactiveElements;
+  // Selector catalogue for a page, with any site profile applied
+  getSelectorProfile(url) {
+    return selectorProfileFor(url, this.options.selectorProfiles);
+  }
+
+  // Find visible interactive elements on a page, described by a unique CSS path
+  async exploreInteractiveElements(page, catalogue = this.getSelectorProfile(page.url())) {
+    return this.interactionExplorer.findCandidates(page, catalogue);
   }
 
   // Handle JavaScript-rendered content and SPA navigation
@@ -245,224 +399,983 @@ class DynamicWebsiteRAG {
       
       // Execute any additional wait logic if needed for specific sites
       await page.waitForTimeout(1000); // Additional time for JS execution
-      
-      return await page.content();
     } catch (error) {
       console.warn(`Warning: ${error.message} when waiting for page load. Proceeding with current content.`);
+    }
+    
+    try {
+      return await this.embeddedContent.capture(page);
+    } catch (error) {
+      console.warn(`Warning: could not serialize shadow roots and frames of ${url}:`, error.message);
       return await page.content();
     }
   }
 
-  // Chunking text into manageable pieces
-  chunkText(text, maxTokens = 1000) {
-    const tokens = encode(text);
+  // Rebuild the URL + content, per-URL and position maps of stored chunks
+  // whenever the documents array was replaced or edited elsewhere
+  indexDocuments() {
+    if (this.documentKeysSource === this.documents && this.documentKeys.size <= this.documents.length) return;
     
-    if (tokens.length <= maxTokens) {
-      return [text];
-    }
+    this.documentKeys = new Map();
+    this.documentsByUrl = new Map();
+    this.documentPositions = new Map();
+    this.documentKeysSource = this.documents;
+    this.documents.forEach((doc, index) => this.addDocumentKeys(doc, index));
+  }
+
+  // Record that stored chunks of a URL were edited in place (tombstoned,
+  // revived or given provenance), so the next checkpoint logs them again
+  markDocumentsChanged(url) {
+    this.documentChanges.set(url, ++this.documentChangeCount);
+  }
+
+  // Document log records of everything stored or changed since the session's
+  // last checkpoint (see CrawlCheckpointStore.appendDocuments)
+  documentRecordsSince(session) {
+    this.indexDocuments();
+    const records = [];
     
-    const chunks = [];
-    let currentChunk = [];
-    let currentLength = 0;
+    for (const [url, change] of this.documentChanges) {
+      if (change <= session.loggedChange) continue;
+      for (const document of this.documentsOf(url)) {
+        const index = this.documentPositions.get(document);
+        if (index < session.loggedDocuments) records.push({ index, document });
+      }
+    }
+    for (let index = session.loggedDocuments; index < this.documents.length; index++) {
+      records.push({ index, document: this.documents[index], vector: this.vectorStore[index] });
+    }
     
-    // Split by paragraphs first
-    const paragraphs = text.split('\n\n');
+    session.loggedChange = this.documentChangeCount;
+    session.loggedDocuments = this.documents.length;
+    return records;
+  }
+
+  addDocumentKeys(document, index) {
+    this.documentPositions.set(document, index);
+    this.documentKeys.set(`${document.url}\n${document.content}`, document);
+    if (!this.documentsByUrl.has(document.url)) this.documentsByUrl.set(document.url, []);
+    this.documentsByUrl.get(document.url).push(document);
+  }
+
+  // Find the stored chunk with this text for a canonical URL
+  findDocument(url, content) {
+    this.indexDocuments();
+    return this.documentKeys.get(`${url}\n${content}`) || null;
+  }
+
+  // Check whether a chunk is already stored for a canonical URL
+  hasDocument(url, content) {
+    return Boolean(this.findDocument(url, content));
+  }
+
+  // Stored chunks of a canonical URL, tombstoned or not
+  documentsOf(url) {
+    this.indexDocuments();
+    return this.documentsByUrl.get(url) || [];
+  }
+
+  // Whether search can currently see any chunk of a page
+  hasLiveDocuments(url) {
+    return this.documentsOf(url).some(doc => !doc.tombstoned);
+  }
+
+  // The stored embedding of a document, or null
+  embeddingOf(document) {
+    this.indexDocuments();
+    const entry = this.vectorStore[this.documentPositions.get(document)];
+    return entry ? entry.embedding : null;
+  }
+
+  // Add a document and its embedding to the knowledge base
+  storeDocument(document, embedding) {
+    this.vectorStore.push({
+      url: document.url,
+      embedding
+    });
+    this.indexDocuments();
+    this.documents.push(document);
+    this.addDocumentKeys(document, this.documents.length - 1);
+    if (this.nearDuplicates && this.nearDuplicates.source === this.documents) {
+      this.nearDuplicates.add(document);
+    }
+  }
+
+  // Chunk markdown, embed the new chunks in batches and add them to the
+  // knowledge base. `metadata` is copied onto every stored chunk, next to the
+  // chunk's heading path, character offsets and index within the markdown.
+  async indexMarkdown(url, markdown, source, metadata = {}) {
+    const documentUrl = this.canonicalizer.canonicalize(url) || url;
+    const appearance = { url: documentUrl, source, interactionPath: metadata.interactionPath };
+    const pending = new Map();
+    const reused = new Map();
     
-    for (const paragraph of paragraphs) {
-      const paragraphTokens = encode(paragraph);
+    for (const chunk of this.chunker.chunk(markdown)) {
+      const { content } = chunk;
+      const contentHash = hashContent(content);
+      
+      // Unchanged chunks keep their embedding; the same page may also be
+      // reached through several URL variants
+      const existing = this.findDocument(documentUrl, content);
+      if (existing) {
+        reviveDocument(existing);
+        Object.assign(existing, chunkMetadata(chunk));
+        addProvenance(existing, appearance);
+        this.changeTracker.touchChunk(documentUrl, contentHash);
+        continue;
+      }
+      
+      // Nearly identical chunks of this page are recorded as another appearance
+      // of the stored one
+      const simhash = this.nearDuplicates ? this.nearDuplicates.fingerprint(content) : null;
+      const duplicate = this.findNearDuplicate(documentUrl, simhash, content);
+      if (duplicate && duplicate.url === documentUrl) {
+        addProvenance(duplicate, appearance);
+        this.changeTracker.touchChunk(documentUrl, chunkHashOf(duplicate));
+        continue;
+      }
       
-      if (currentLength + paragraphTokens.length <= maxTokens) {
-        currentChunk.push(paragraph);
-        currentLength += paragraphTokens.length;
+      if (!pending.has(content)) {
+        const document = addProvenance({
+          url: documentUrl,
+          title: documentUrl,
+          content,
+          contentHash,
+          source,
+          ...metadata,
+          ...chunkMetadata(chunk),
+          ...(this.nearDuplicates ? { simhash } : {}),
+          ...(duplicate ? { nearDuplicateOf: duplicate.url } : {})
+        }, appearance);
+        pending.set(content, document);
+        
+        // A near match on another page (crossPage) lends its embedding, so the
+        // chunk is stored for this page with its own text but not embedded again
+        const embedding = duplicate ? this.embeddingOf(duplicate) : null;
+        if (embedding) reused.set(document, embedding);
+      }
+    }
+    
+    // Failed chunks are dead-lettered with their document, see retryFailedEmbeddings
+    const documents = [...pending.values()].filter(document => !reused.has(document));
+    documents.forEach(document => this.embeddingRequests.add(document));
+    const embeddings = await this.embeddings.embedMany(documents.map(doc => doc.content), documents);
+    
+    for (const [document, embedding] of reused) {
+      this.storeDocument(document, embedding);
+      this.changeTracker.touchChunk(documentUrl, document.contentHash);
+    }
+    
+    documents.forEach((document, index) => {
+      if (embeddings[index]) {
+        this.storeDocument(document, embeddings[index]);
+        this.changeTracker.touchChunk(documentUrl, document.contentHash);
       } else {
-        if (currentChunk.length > 0) {
-          chunks.push(currentChunk.join('\n\n'));
-          currentChunk = [paragraph];
-          currentLength = paragraphTokens.length;
-        } else {
-          // Handle case where a single paragraph exceeds max tokens
-          const words = paragraph.split(' ');
-          let tempChunk = [];
-          let tempLength = 0;
-          
-          for (const word of words) {
-            const wordTokens = encode(word + ' ').length;
-            
-            if (tempLength + wordTokens <= maxTokens) {
-              tempChunk.push(word);
-              tempLength += wordTokens;
-            } else {
-              chunks.push(tempChunk.join(' '));
-              tempChunk = [word];
-              tempLength = wordTokens;
-            }
-          }
-          
-          if (tempChunk.length > 0) {
-            chunks.push(tempChunk.join(' '));
-          }
+        this.changeTracker.failChunk(documentUrl, document.contentHash);
+      }
+    });
+    
+    // Revived chunks and provenance of existing ones changed
+    this.markDocumentsChanged(documentUrl);
+  }
+
+  // Embed dead-lettered chunks again and store the ones that succeed.
+  // Resolves with the number of chunks stored.
+  async retryFailedEmbeddings() {
+    const results = await this.embeddings.retryDeadLetters(entry => this.embeddingRequests.has(entry.context));
+    let stored = 0;
+    
+    for (const { context: document, embedding } of results) {
+      if (this.findDocument(document.url, document.content)) continue;
+      
+      // The page may have changed, been removed or be re-indexing since the chunk failed
+      if (!this.changeTracker.recoverChunk(document.url, document.contentHash)) {
+        console.log(`Dropping retried chunk of ${document.url}: the page no longer produces it`);
+        continue;
+      }
+      this.storeDocument(document, embedding);
+      stored++;
+    }
+    
+    return stored;
+  }
+
+  // A live chunk nearly identical to `content`, with this fingerprint and the
+  // same numbers. Chunks of the same page only match when stored during the
+  // current crawl of the page, so edits to a page are never mistaken for
+  // duplicates of its old version. Other pages' chunks match with crossPage.
+  findNearDuplicate(documentUrl, simhash, content, crossPage = this.nearDuplicates && this.nearDuplicates.options.crossPage) {
+    if (!this.nearDuplicates || !simhash) return null;
+    
+    this.nearDuplicates.sync(this.documents);
+    return this.nearDuplicates.find(simhash, doc => (doc.url === documentUrl
+      ? this.changeTracker.hasTouchedChunk(documentUrl, chunkHashOf(doc))
+      : crossPage), content);
+  }
+
+  // Index captured HTML section by section, so each document records the
+  // frame (URL) and shadow component (tag name) its text came from, along
+  // with the page's own metadata. With `seenBlocks` (a Set shared by the
+  // states of one page) only blocks that earlier states did not show are
+  // chunked and embedded; chunks of the rest record this state as provenance.
+  async indexHtml(url, html, source, metadata = {}, seenBlocks = null) {
+    const pageMetadata = this.options.extractMetadata ? this.metadataExtractor.extract(html, url) : {};
+    
+    for (const { frame, component, html: sectionHtml } of this.embeddedContent.splitSections(html)) {
+      const markdown = this.htmlToMarkdown(sectionHtml, frame || url);
+      if (!markdown) continue;
+      
+      let delta = markdown;
+      if (seenBlocks && this.nearDuplicates) {
+        delta = this.nearDuplicates.delta(markdown, seenBlocks);
+        if (delta !== markdown) {
+          this.recordAppearance(url, markdown, source, metadata.interactionPath);
         }
       }
+      if (!delta) continue;
+      
+      await this.indexMarkdown(url, delta, source, {
+        ...pageMetadata,
+        ...metadata,
+        ...(frame ? { frame } : {}),
+        ...(component ? { component } : {})
+      });
+    }
+  }
+
+  // Add a URL or UI state to the provenance of stored chunks that reappear in
+  // its markdown, exactly or nearly, without embedding anything
+  recordAppearance(url, markdown, source, interactionPath = null) {
+    const documentUrl = this.canonicalizer.canonicalize(url) || url;
+    
+    for (const { content } of this.chunker.chunk(markdown)) {
+      const stored = this.findDocument(documentUrl, content) ||
+        this.findNearDuplicate(documentUrl, this.nearDuplicates.fingerprint(content), content, false);
+      if (stored && !stored.tombstoned) {
+        addProvenance(stored, { url: documentUrl, source, interactionPath });
+        this.markDocumentsChanged(stored.url);
+      }
     }
+  }
+
+  // Collect canonical, de-duplicated link targets from the current page.
+  // Plain anchors are skipped, but hash routes (#/path, #!/path) are kept.
+  async extractLinks(page) {
+    const links = await page.$$eval('a[href]', links => 
+      links.map(link => {
+        const href = link.getAttribute('href');
+        if (href && (!href.startsWith('#') || /^#!?\/./.test(href)) && !href.startsWith('javascript:')) {
+          return new URL(href, link.baseURI).href;
+        }
+        return null;
+      }).filter(Boolean)
+    );
     
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk.join('\n\n'));
+    return this.canonicalizer.canonicalizeAll(links);
+  }
+
+  // Crawl a dynamic website or SPA breadth-first, following links up to `depth` levels.
+  // Progress is checkpointed to disk; resolves with the crawl session id.
+  // `visitedUrls` may be shared by crawls of several sites so no URL is crawled
+  // twice. Pass `continueSession: true` when this crawl continues another
+  // crawl of the same site: that crawl was seeded from the sitemaps already,
+  // and only it sees enough of the site to tell which indexed pages are gone.
+  async crawlDynamicSite(url, depth = 0, visitedUrls = new Set(), { continueSession = false } = {}) {
+    if (depth < 0) {
+      return null;
     }
     
-    return chunks;
+    const seedUrl = this.canonicalizer.canonicalize(url);
+    const sweepRemoved = !continueSession;
+    
+    const frontier = new CrawlFrontier({ maxDepth: depth, visited: visitedUrls });
+    if (!seedUrl || !frontier.add(seedUrl, 0)) {
+      return null;
+    }
+    
+    const scope = new CrawlScope(seedUrl, this.options.crawlScope);
+    const session = this.createCrawlSession(seedUrl, frontier, scope, { sweepRemoved });
+    if (depth > 0 && this.options.useSitemaps && !continueSession) {
+      Object.assign(session, await this.seedFromSitemaps(seedUrl, frontier, scope));
+    }
+    
+    return this.runCrawlSession(session);
   }
 
-  // Crawl a dynamic website or SPA
-  async crawlDynamicSite(url, depth = 0, visitedUrls = new Set()) {
-    if (visitedUrls.has(url) || depth < 0) {
-      return;
+  // Crawl several pages ({ url, depth }) of another crawl in one browser
+  // session, e.g. the pages StaticCrawler found to need JavaScript. Depths
+  // count from that crawl's seed, and `visitedUrls` is its seen set.
+  async crawlDynamicPages(seedUrl, pages, { maxDepth = 0, visitedUrls = new Set(), maxPages = this.options.maxPages } = {}) {
+    const frontier = new CrawlFrontier({ maxDepth, visited: visitedUrls });
+    for (const { url, depth } of pages) {
+      visitedUrls.delete(url);
+      frontier.add(url, depth);
+    }
+    if (frontier.size === 0) {
+      return null;
     }
     
-    console.log(`Crawling: ${url} (depth: ${depth})`);
-    visitedUrls.add(url);
+    const scope = new CrawlScope(seedUrl, this.options.crawlScope);
+    return this.runCrawlSession(this.createCrawlSession(seedUrl, frontier, scope, { pageLimit: maxPages }));
+  }
+
+  createCrawlSession(seedUrl, frontier, scope, { pageLimit = this.options.maxPages, sweepRemoved = false } = {}) {
+    return {
+      id: this.checkpoints.createSessionId(),
+      seedUrl,
+      frontier,
+      scope,
+      pagesCrawled: 0,
+      pageLimit,
+      startedAt: Date.now(),
+      sweepRemoved,
+      sitemapUrls: [],
+      sitemapComplete: true,
+      loggedDocuments: 0,
+      loggedChange: 0
+    };
+  }
+
+  // Queue in-scope sitemap URLs one level below the seed, with higher sitemap
+  // priorities crawled first, and remember their lastmod and changefreq.
+  // Resolves with every in-scope URL listed ({ sitemapUrls, sitemapComplete }),
+  // queued or not, so the removal sweep keeps listed pages.
+  async seedFromSitemaps(seedUrl, frontier, scope) {
+    const { entries, complete } = await this.sitemaps.readEntries(seedUrl);
+    const sitemapUrls = [];
+    let queued = 0;
+    
+    for (const entry of entries) {
+      const url = this.canonicalizer.canonicalize(entry.url);
+      if (!url || !scope.check(url, 1).allowed) continue;
+      
+      sitemapUrls.push(url);
+      this.sitemapEntries.set(url, { ...entry, url });
+      if (queued < this.options.maxPages && frontier.add(url, 1, this.sitemaps.crawlPriority(entry, 1))) {
+        queued++;
+      }
+    }
+    
+    console.log(`Queued ${queued} sitemap URLs for ${seedUrl}`);
+    return { sitemapUrls, sitemapComplete: complete };
+  }
+
+  // Continue a checkpointed crawl without re-crawling or re-embedding finished pages.
+  // An interrupted crawl finishes its original page budget; a crawl paused at
+  // its budget gets `maxPages` more pages.
+  async resumeCrawl(sessionId, { maxPages = this.options.maxPages } = {}) {
+    const checkpoint = this.checkpoints.load(sessionId);
+    if (!checkpoint || checkpoint.type !== 'dynamic') {
+      throw new Error(`No dynamic crawl checkpoint found for session ${sessionId}`);
+    }
+    
+    // Checkpoints written before the document log hold their documents inline
+    const { documents, vectorStore } = checkpoint.documents
+      ? checkpoint
+      : await this.checkpoints.loadDocuments(sessionId, checkpoint.documentCount || 0);
+    
+    const mismatch = this.embeddingMismatch(checkpoint.embedding, vectorStore);
+    if (mismatch) {
+      throw new Error(`Cannot resume crawl session ${sessionId}: ${mismatch}`);
+    }
+    
+    this.documents = documents;
+    this.vectorStore = vectorStore;
+    this.changeTracker.load(checkpoint.pages);
+    
+    if (checkpoint.status === 'complete') {
+      console.log(`Crawl session ${sessionId} already completed`);
+      return sessionId;
+    }
+    
+    console.log(`Resuming crawl session ${sessionId} with ${checkpoint.frontier.pending.length} pending URLs`);
+    
+    const pagesCrawled = checkpoint.pagesCrawled || 0;
+    const pageLimit = checkpoint.status === 'paused' || !checkpoint.pageLimit
+      ? pagesCrawled + maxPages
+      : checkpoint.pageLimit;
+    
+    return this.runCrawlSession({
+      id: sessionId,
+      seedUrl: checkpoint.seedUrl,
+      frontier: CrawlFrontier.fromJSON(checkpoint.frontier),
+      scope: new CrawlScope(checkpoint.seedUrl, this.options.crawlScope),
+      pagesCrawled,
+      pageLimit,
+      startedAt: checkpoint.startedAt || Date.now(),
+      sweepRemoved: Boolean(checkpoint.sweepRemoved),
+      sitemapUrls: checkpoint.sitemapUrls || [],
+      sitemapComplete: checkpoint.sitemapComplete !== false,
+      // An inline checkpoint's documents are written to the log again
+      loggedDocuments: checkpoint.documents ? 0 : documents.length,
+      loggedChange: this.documentChangeCount
+    });
+  }
+
+  // Persist the session; entries still in flight are saved as pending.
+  // Documents and embeddings stored or changed since the last checkpoint are
+  // appended to the session's document log rather than written again.
+  saveCheckpoint(session, inFlightEntries, status = 'running') {
+    const frontier = session.frontier.toJSON();
+    frontier.pending.push(...[...inFlightEntries].map(({ url, depth, priority }) => ({ url, depth, priority })));
+    
+    this.checkpoints.appendDocuments(session.id, this.documentRecordsSince(session));
+    this.checkpoints.save(session.id, {
+      type: 'dynamic',
+      status,
+      seedUrl: session.seedUrl,
+      pagesCrawled: session.pagesCrawled,
+      pageLimit: session.pageLimit,
+      startedAt: session.startedAt,
+      sweepRemoved: session.sweepRemoved,
+      sitemapUrls: session.sitemapUrls,
+      sitemapComplete: session.sitemapComplete,
+      frontier,
+      documentCount: session.loggedDocuments,
+      embedding: this.embeddingInfo(),
+      pages: this.changeTracker.toJSON()
+    });
+  }
+
+  // Drain a crawl session's frontier with a pool of concurrent workers
+  async runCrawlSession(session) {
+    const { frontier } = session;
     
     if (!this.pageBrowser) {
       await this.initialize();
     }
     
-    const context = await this.pageBrowser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      viewport: { width: 1280, height: 800 }
+    const pool = new BrowserContextPool(this.pageBrowser, {
+      size: this.options.concurrency,
+      contextOptions: {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        viewport: { width: 1280, height: 800 },
+        ...(this.auth ? this.auth.getContextOptions() : {})
+      },
+      prepareContext: this.auth ? context => this.auth.prepareContext(context) : null
     });
     
+    const inFlightEntries = new Set();
+    let pagesSinceCheckpoint = 0;
+    
+    // Each worker pulls from the shared frontier until it is drained or the page budget is spent
+    const worker = async () => {
+      while (session.pagesCrawled < session.pageLimit) {
+        const entry = frontier.next();
+        
+        if (!entry) {
+          // Other workers may still add links, so only stop once nothing is in flight
+          if (inFlightEntries.size === 0) return;
+          await new Promise(resolve => setTimeout(resolve, 100));
+          continue;
+        }
+        
+        inFlightEntries.add(entry);
+        try {
+          const verdict = await this.politeness.check(entry.url);
+          if (!verdict.allowed) {
+            console.log(`Skipping ${entry.url}: ${verdict.reason}`);
+            this.keepPage(entry.url);
+            continue;
+          }
+          if (session.pagesCrawled >= session.pageLimit) {
+            frontier.requeue(entry);
+            return;
+          }
+          
+          session.pagesCrawled++;
+          await this.politeness.schedule(entry.url, () =>
+            pool.withContext(context => this.crawlPage(context, entry, session))
+          );
+        } finally {
+          inFlightEntries.delete(entry);
+        }
+        
+        if (++pagesSinceCheckpoint >= this.options.checkpointInterval) {
+          pagesSinceCheckpoint = 0;
+          this.saveCheckpoint(session, inFlightEntries);
+        }
+      }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: Math.max(1, this.options.concurrency) }, worker));
+      
+      // Pages left in the frontier after the page budget was spent can be
+      // crawled later with resumeCrawl, which grants a new budget
+      const status = frontier.size === 0 ? 'complete' : 'paused';
+      if (status === 'complete') {
+        this.sweepRemovedPages(session);
+      }
+      this.saveCheckpoint(session, inFlightEntries, status);
+      console.log(`Crawled ${session.pagesCrawled} pages starting from ${session.seedUrl} (session ${session.id}, ${status})`);
+    } catch (error) {
+      this.saveCheckpoint(session, inFlightEntries, 'interrupted');
+      throw error;
+    } finally {
+      await pool.close();
+    }
+    
+    return session.id;
+  }
+
+  // Crawl a single frontier entry: index its content, explore interactive
+  // elements and queue the links it contains
+  async crawlPage(context, { url, depth }, session) {
+    const { frontier, scope } = session;
+    console.log(`Crawling: ${url} (depth: ${depth})`);
+    
     const page = await context.newPage();
-    await page.setDefaultTimeout(30000);
+    page.setDefaultTimeout(30000);
+    
+    // Start listening before navigation so the page's initial API calls are captured
+    const networkCapture = this.networkCapture ? this.networkCapture.attach(page) : null;
+    let trackedUrl = null;
     
     try {
-      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      // Skip pages the server reports as not modified since the last crawl
+      if (await this.isNotModified(url)) {
+        this.reuseUnchangedPage(url, depth, { frontier, scope });
+        return;
+      }
+      
+      // Linked documents are downloaded rather than rendered; a document URL
+      // that serves a web page is crawled as one
+      if (this.documentIngestor && this.documentIngestor.isDocumentUrl(url)) {
+        if (await this.indexDocument(url, await this.fetchDocument(context, url), depth)) return;
+        console.log(`${url} is not a supported document; crawling it as a page`);
+      }
+      
+      await this.interactionExplorer.install(page);
+      let response;
+      try {
+        response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      } catch (error) {
+        // Chromium downloads files it cannot display instead of navigating to them
+        if (!this.documentIngestor || !/Download is starting|ERR_ABORTED/.test(error.message)) throw error;
+        if (!await this.indexDocument(url, await this.fetchDocument(context, url), depth)) throw error;
+        return;
+      }
+      
+      // Plain-text and markdown files served without a telling extension
+      const contentType = response ? response.headers()['content-type'] : '';
+      if (this.documentIngestor && this.documentIngestor.detectType(url, contentType)) {
+        const indexed = await this.indexDocument(url, {
+          status: response.status(),
+          contentType,
+          body: await response.body(),
+          validators: this.changeTracker.validatorsFrom(response.headers())
+        }, depth);
+        if (!indexed) {
+          console.warn(`Skipping ${url}: could not read it as a document (${contentType})`);
+          this.keepPage(url);
+        }
+        return;
+      }
+      
+      // Pages that no longer exist take their chunks out of search results
+      if (response && (response.status() === 404 || response.status() === 410)) {
+        if (this.hasLiveDocuments(url)) {
+          this.removePage(url, `HTTP ${response.status()}`);
+        }
+        return;
+      }
+      
+      // Other errors may be temporary, so the page keeps what was indexed before
+      if (response && response.status() >= 400) {
+        console.warn(`Skipping ${url}: HTTP ${response.status()}`);
+        this.keepPage(url);
+        return;
+      }
+      
       let html = await this.captureAfterJSExecution(page, url);
       
+      // Log in again if the session expired mid-crawl, then reload the page
+      if (this.auth && await this.auth.isSessionExpired(page)) {
+        await this.auth.handleExpiredSession(context);
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+        html = await this.captureAfterJSExecution(page, url);
+        
+        if (await this.auth.isSessionExpired(page)) {
+          console.warn(`Skipping ${url}: still not authenticated after logging in`);
+          this.keepPage(url);
+          return;
+        }
+      }
+      
+      // Honor <link rel="canonical"> so duplicate pages are only indexed once
+      const declaredCanonical = await page.$eval('link[rel="canonical"]', el => el.href).catch(() => null);
+      const pageUrl = this.canonicalizer.registerCanonical(url, declaredCanonical) || url;
+      if (pageUrl !== url) {
+        if (frontier.has(pageUrl)) {
+          console.log(`Skipping ${url}: duplicate of canonical page ${pageUrl}`);
+          return;
+        }
+        frontier.markSeen(pageUrl);
+      }
+      
       // Extract initial content
-      let markdown = this.htmlToMarkdown(html);
-      let documentChunks = this.chunkText(markdown, this.options.maxTokens);
-      
-      for (const chunk of documentChunks) {
-        const embedding = await this.createEmbedding(chunk);
-        if (embedding) {
-          this.vectorStore.push({
-            url,
-            embedding
-          });
+      let markdown = this.htmlToMarkdown(html, pageUrl);
+      const contentHash = hashContent(markdown);
+      if (this.isUnchangedPage(pageUrl, contentHash)) {
+        this.reuseUnchangedPage(pageUrl, depth, { frontier, scope });
+        return;
+      }
+      
+      trackedUrl = pageUrl;
+      this.changeTracker.beginPage(pageUrl);
+      
+      // Blocks of markdown already indexed for this page; scrolling and
+      // interactions only add what they reveal
+      const seenBlocks = new Set();
+      await this.indexHtml(pageUrl, html, 'initial', {}, seenBlocks);
+      
+      // Scroll feeds and click "load more" to reveal content beyond the first screen
+      if (this.options.scrollDepth > 0) {
+        const { rounds, newNodes, stopReason } = await this.scrollExplorer.explore(page);
+        
+        if (newNodes > 0) {
+          console.log(`Scrolled ${url} ${rounds} times, revealing ${newNodes} new elements (${stopReason})`);
+          html = await this.captureAfterJSExecution(page, url);
+          const scrolledMarkdown = this.htmlToMarkdown(html, pageUrl);
           
-          this.documents.push({
-            url,
-            title: url,
-            content: chunk,
-            source: 'initial'
-          });
+          if (scrolledMarkdown !== markdown) {
+            markdown = scrolledMarkdown;
+            await this.indexHtml(pageUrl, html, 'scroll', {}, seenBlocks);
+          }
         }
       }
       
       // Explore interactive elements
-      const interactiveElements = await this.exploreInteractiveElements(page);
+      const selectorProfile = this.getSelectorProfile(pageUrl);
+      const interactiveElements = await this.exploreInteractiveElements(page, selectorProfile);
       
       // Store the mapping of interactive elements for this page
-      this.interactiveElementsMap.set(url, interactiveElements);
+      this.interactiveElementsMap.set(pageUrl, interactiveElements);
       
-      // Interact with elements to reveal more content (up to maxInteractions)
-      let interactionsCount = 0;
-      for (const { element, text, category } of interactiveElements) {
-        if (interactionsCount >= this.options.maxInteractions) break;
-        
-        try {
-          // Scroll to the element
-          await element.scrollIntoViewIfNeeded();
-          await page.waitForTimeout(300);
-          
-          // Click and wait for possible content changes
-          await element.click();
-          await page.waitForTimeout(this.options.interactionDelay);
-          
-          // Check if URL changed (SPA navigation)
-          const newUrl = page.url();
-          const contentChanged = newUrl !== url;
-          
-          // Capture new content
+      const canFollowLinks = depth < frontier.options.maxDepth;
+      
+      // Click safe elements to reveal more content, indexing each new UI state
+      // once per visit, so recrawls index the states again
+      const states = await this.interactionExplorer.explore(page, {
+        candidates: interactiveElements,
+        catalogue: selectorProfile,
+        seen: new Set(),
+        onState: async ({ url: stateUrl, path: interactionPath, step }) => {
+          const newUrl = this.canonicalizer.canonicalize(stateUrl) || stateUrl;
           const newHtml = await this.captureAfterJSExecution(page, newUrl);
-          const newMarkdown = this.htmlToMarkdown(newHtml);
+          const newMarkdown = this.htmlToMarkdown(newHtml, newUrl);
           
           // Skip if markdown is very similar to previous
-          if (newMarkdown === markdown) continue;
+          if (newMarkdown === markdown) return;
           
           markdown = newMarkdown;
-          documentChunks = this.chunkText(markdown, this.options.maxTokens);
-          
-          for (const chunk of documentChunks) {
-            const embedding = await this.createEmbedding(chunk);
-            if (embedding) {
-              this.vectorStore.push({
-                url: newUrl,
-                embedding
-              });
-              
-              this.documents.push({
-                url: newUrl,
-                title: newUrl,
-                content: chunk,
-                source: `interaction:${category}:${text}`
-              });
-            }
+          await this.indexHtml(newUrl, newHtml, `interaction:${step.category}:${step.text}`, {
+            interactionPath: { startUrl: pageUrl, steps: interactionPath }
+          }, seenBlocks);
+        },
+        // Pages reached through SPA navigation were indexed above, so don't queue them again
+        onNavigate: newUrl => {
+          if (canFollowLinks) {
+            frontier.markSeen(this.canonicalizer.canonicalize(newUrl) || newUrl);
           }
-          
-          // If navigated to a new URL in SPA, add to visited and optionally recurse
-          if (contentChanged && depth > 0) {
-            visitedUrls.add(newUrl);
-            // Navigate back to continue exploring the original page
-            await page.goBack();
-            await this.captureAfterJSExecution(page, url);
-          }
-          
-          interactionsCount++;
-        } catch (error) {
-          console.warn(`Error interacting with element (${text}):`, error.message);
+        }
+      });
+      
+      this.interactionStatesMap.set(pageUrl, states);
+      
+      // Index JSON payloads fetched while loading and exploring the page
+      if (networkCapture) {
+        const payloads = await networkCapture.stop();
+        for (const apiDocument of this.networkCapture.toDocuments(payloads, pageUrl)) {
+          await this.indexMarkdown(apiDocument.endpoint, apiDocument.markdown, `api:${pageUrl}`);
+        }
+      }
+      
+      // Links are remembered so they can be queued when the page is unchanged next time
+      const links = await this.extractLinks(page);
+      
+      // Queue in-scope links for the next depth level
+      if (canFollowLinks) {
+        await this.queueLinks(page, links, { url, depth, session });
+      }
+      
+      this.recordPage(pageUrl, {
+        contentHash,
+        ...this.changeTracker.validatorsFrom(response ? response.headers() : {}),
+        links,
+        depth
+      });
+    } catch (error) {
+      console.error(`Error crawling ${url}:`, error);
+      this.keepPage(url);
+      if (trackedUrl) this.keepPage(trackedUrl);
+    } finally {
+      if (trackedUrl) this.changeTracker.abortPage(trackedUrl);
+      await page.close();
+    }
+  }
+
+  // Download a document with the browser context's cookies and the configured
+  // extra headers, so logins apply as they do to pages. Files larger than
+  // maxBytes are rejected while downloading.
+  async fetchDocument(context, url) {
+    const cookies = await context.cookies(url);
+    const { status, contentType, headers, body } = await this.documentIngestor.fetch(url, {
+      ...(this.auth ? this.auth.headersFor(url) : {}),
+      ...(cookies.length > 0 ? { Cookie: cookies.map(({ name, value }) => `${name}=${value}`).join('; ') } : {})
+    });
+    
+    return { status, contentType, body, validators: this.changeTracker.validatorsFrom(headers) };
+  }
+  
+  // Index a downloaded PDF, Word or text document section by section, with its
+  // page or heading on every chunk for citations. Resolves with false when the
+  // response is not a supported document.
+  async indexDocument(url, { status, contentType, body, validators }, depth = 0) {
+    if (status === 404 || status === 410) {
+      if (this.hasLiveDocuments(url)) this.removePage(url, `HTTP ${status}`);
+      return true;
+    }
+    if (status < 200 || status >= 300) {
+      console.warn(`Skipping document ${url}: HTTP ${status}`);
+      this.keepPage(url);
+      return true;
+    }
+    
+    const document = await this.documentIngestor.parse(url, body, contentType);
+    if (!document) return false;
+    
+    const contentHash = hashContent(body);
+    if (this.isUnchangedPage(url, contentHash)) {
+      console.log(`Unchanged since last crawl: ${url}`);
+      this.changeTracker.markVisited(url);
+      return true;
+    }
+    
+    console.log(`Indexing ${document.type} document ${url} (${document.sections.length} sections)`);
+    this.changeTracker.beginPage(url);
+    try {
+      for (const section of document.sections) {
+        await this.indexMarkdown(url, section.markdown, `document:${document.type}`, citationMetadata(document, section));
+      }
+      this.recordPage(url, { contentHash, ...validators, links: [], depth });
+    } finally {
+      this.changeTracker.abortPage(url);
+    }
+    
+    return true;
+  }
+  
+  // Whether a conditional request shows a previously indexed page is unchanged.
+  // Authenticated crawls rely on content hashes, since the request carries no session.
+  async isNotModified(url) {
+    if (!this.options.incremental || this.auth) return false;
+    
+    const known = this.changeTracker.getPage(url);
+    if (!known || !(known.etag || known.lastModified) || !this.hasLiveDocuments(url)) return false;
+    
+    const { notModified } = await this.changeTracker.checkNotModified(url);
+    return notModified;
+  }
+
+  // Whether a page's content matches the last crawl and its chunks are still searchable
+  isUnchangedPage(url, contentHash) {
+    return this.options.incremental &&
+      this.changeTracker.isUnchanged(url, contentHash) &&
+      this.hasLiveDocuments(url);
+  }
+
+  // Keep an unchanged page's chunks and queue the links it had when last crawled
+  reuseUnchangedPage(url, depth, { frontier, scope }) {
+    console.log(`Unchanged since last crawl: ${url}`);
+    const known = this.changeTracker.markVisited(url);
+    
+    if (known && depth < frontier.options.maxDepth) {
+      const scopedLinks = (known.links || []).filter(link =>
+        !frontier.has(link) && scope.check(link, depth + 1).allowed
+      ).slice(0, this.options.maxLinksPerPage);
+      
+      for (const link of scopedLinks) {
+        frontier.add(link, depth + 1);
+      }
+    }
+  }
+
+  // Save a re-indexed page's validators and hashes, and tombstone its chunks
+  // that the new version no longer contains
+  recordPage(url, info) {
+    const produced = this.changeTracker.finishPage(url, info);
+    const count = tombstoneDocuments(this.documentsOf(url), doc =>
+      !produced.has(chunkHashOf(doc)), 'changed'
+    );
+    
+    if (count > 0) {
+      console.log(`Tombstoned ${count} outdated chunks of ${url}`);
+      this.markDocumentsChanged(url);
+    }
+  }
+
+  // A page that could not be crawled this time (an error, a robots.txt or
+  // login failure) keeps its chunks; only pages confirmed gone are removed
+  keepPage(url) {
+    if (this.changeTracker.markVisited(url)) {
+      console.log(`Keeping previously indexed chunks of ${url}`);
+    }
+  }
+
+  // Tombstone every chunk of a page that was removed from the site
+  removePage(url, reason) {
+    this.changeTracker.removePage(url);
+    const count = tombstoneDocuments(this.documentsOf(url), () => true, 'removed');
+    console.log(`${url} was removed (${reason}); tombstoned ${count} chunks`);
+    this.markDocumentsChanged(url);
+  }
+
+  // After a complete crawl, tombstone previously indexed pages in its scope and
+  // depth that it no longer reached and that are confirmed gone: neither a
+  // page visited in this crawl (including pages kept after failing) links to
+  // them, nor the sitemap lists them
+  sweepRemovedPages(session) {
+    if (!this.options.incremental || !session.sweepRemoved) return;
+    
+    if (session.sitemapComplete === false) {
+      console.log(`Not removing unreached pages of ${session.seedUrl}: its sitemaps could not all be read`);
+      return;
+    }
+    
+    const linked = new Set(session.sitemapUrls || []);
+    for (const page of this.changeTracker.visitedSince(session.startedAt)) {
+      (page.links || []).forEach(link => linked.add(link));
+    }
+    
+    const removed = this.changeTracker.findRemovedPages(session.startedAt, (url, page) =>
+      !linked.has(url) &&
+      page.depth <= session.frontier.options.maxDepth &&
+      session.scope.check(url, page.depth).allowed
+    );
+    
+    for (const url of removed) {
+      this.removePage(url, 'no longer linked');
+    }
+  }
+
+  // Add in-scope links to the frontier. Hash routes of the loaded document are
+  // instead visited in place through client-side routing, and indexed as pages
+  // when they render a view not seen before; their links are queued the same way.
+  // Each indexed route counts toward the session's page budget.
+  async queueLinks(page, links, { url, depth, session }) {
+    const { frontier, scope } = session;
+    const loadedUrl = this.canonicalizer.canonicalize(page.url()) || page.url();
+    const routes = [];
+    
+    const enqueue = (candidates, linkDepth) => {
+      const scopedLinks = candidates.filter(link =>
+        !frontier.has(link) && scope.check(link, linkDepth).allowed
+      ).slice(0, this.options.maxLinksPerPage);
+      
+      for (const link of scopedLinks) {
+        if (this.hashRoutes.isRouteOf(link, loadedUrl)) {
+          frontier.markSeen(link);
+          routes.push({ url: link, depth: linkDepth });
+        } else {
+          frontier.add(link, linkDepth);
         }
       }
+    };
+    
+    enqueue(links, depth + 1);
+    if (routes.length === 0) return;
+    
+    // Scrolling and clicks changed the DOM, so reload the page before taking
+    // the view that routes rendering this same view are compared against
+    const viewFingerprints = new Set();
+    try {
+      await page.goto('about:blank');
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      await this.captureAfterJSExecution(page, url);
+      viewFingerprints.add(await this.interactionExplorer.fingerprint(page));
+    } catch (error) {
+      console.warn(`Could not reload ${url} to follow its hash routes:`, error.message);
+      routes.splice(0).forEach(route => frontier.requeue(route));
+      return;
+    }
+    
+    let routesVisited = 0;
+    while (routes.length > 0 && routesVisited < this.hashRoutes.options.maxRoutesPerPage &&
+      session.pagesCrawled < session.pageLimit) {
+      const route = routes.shift();
+      routesVisited++;
       
-      // Check for and follow links at current depth
-      if (depth > 0) {
-        const links = await page.$$eval('a[href]', links => 
-          links.map(link => {
-            const href = link.getAttribute('href');
-            if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
-              return new URL(href, link.baseURI).href;
-            }
-            return null;
-          }).filter(Boolean)
-        );
+      try {
+        await this.hashRoutes.navigate(page, route.url);
+        const html = await this.captureAfterJSExecution(page, route.url);
         
-        // Follow unique links on the same domain
-        const currentDomain = new URL(url).hostname;
-        const sameDomainLinks = links.filter(link => {
-          try {
-            return new URL(link).hostname === currentDomain && !visitedUrls.has(link);
-          } catch {
-            return false;
-          }
-        }).slice(0, 5); // Limit number of links to follow
+        const view = await this.interactionExplorer.fingerprint(page);
+        if (viewFingerprints.has(view)) {
+          console.log(`Skipping ${route.url}: hash route does not change the view`);
+          continue;
+        }
+        viewFingerprints.add(view);
         
-        for (const link of sameDomainLinks) {
-          await this.crawlDynamicSite(link, depth - 1, visitedUrls);
+        console.log(`Crawling hash route: ${route.url} (depth: ${route.depth})`);
+        session.pagesCrawled++;
+        this.changeTracker.beginPage(route.url);
+        await this.indexHtml(route.url, html, 'hash-route');
+        this.recordPage(route.url, { contentHash: hashContent(this.htmlToMarkdown(html, route.url)), depth: route.depth });
+        
+        if (route.depth < frontier.options.maxDepth) {
+          enqueue(await this.extractLinks(page), route.depth + 1);
         }
+      } catch (error) {
+        console.warn(`Error following hash route ${route.url}:`, error.message);
+        this.changeTracker.abortPage(route.url);
+        this.keepPage(route.url);
       }
-    } catch (error) {
-      console.error(`Error crawling ${url}:`, error);
+    }
+    
+    // Routes beyond the per-page limit or the page budget are loaded later like any other page
+    for (const route of routes) {
+      frontier.requeue(route);
+    }
+  }
+
+  // Rendered HTML of a single page, without indexing it
+  async renderPage(url) {
+    if (!this.pageBrowser) {
+      await this.initialize();
+    }
+    
+    const context = await this.pageBrowser.newContext(this.auth ? this.auth.getContextOptions() : {});
+    try {
+      const page = await context.newPage();
+      await page.goto(url, { waitUntil: 'domcontentloaded' });
+      return await this.captureAfterJSExecution(page, url);
     } finally {
       await context.close();
     }
   }
 
+  // Open a new page in the recorded UI state of an indexed interaction
+  // (doc.interactionPath); close page.context() when done with it
+  async replayInteraction({ startUrl, steps }) {
+    if (!this.pageBrowser) {
+      await this.initialize();
+    }
+    
+    const context = await this.pageBrowser.newContext(this.auth ? this.auth.getContextOptions() : {});
+    const page = await context.newPage();
+    return this.interactionExplorer.replay(page, startUrl, steps);
+  }
+
   // Generate hybrid search (semantic + BM25)
-  async hybridSearch(query, topK = 5) {
+  async hybridSearch(query, topK = 5, filters = {}) {
     // Get semantic search results
-    const semanticResults = await this.semanticSearch(query, topK * 2);
+    const semanticResults = await this.semanticSearch(query, topK * 2, filters);
     
     // Apply BM25 filtering
-    const bm25Ranker = new BM25Ranker(this.documents, { title: 2, content: 1 });
+    const candidates = liveDocuments(this.documents).filter(doc => matchesFilters(doc, filters));
+    const bm25Ranker = new BM25Ranker(candidates, this.options.bm25FieldWeights);
     const bm25Results = bm25Ranker.search(query, topK * 2);
     
     // Combine results (giving priority to documents that appear in both)
@@ -503,11 +1416,12 @@ class DynamicWebsiteRAG {
     return sortedResults;
   }
 
-  // Generate a response using the RAG approach
-  async generateResponse(query) {
+  // Generate a response using the RAG approach, optionally restricted to
+  // documents matching metadata filters
+  async generateResponse(query, filters = {}) {
     try {
       // Retrieve relevant documents using hybrid search
-      const relevantDocs = await this.hybridSearch(query, 3);
+      const relevantDocs = await this.hybridSearch(query, 3, filters);
       
       if (relevantDocs.length === 0) {
         return {
@@ -518,7 +1432,7 @@ class DynamicWebsiteRAG {
       
       // Prepare context for the LLM
       const context = relevantDocs.map((doc, i) => 
-        `[${i+1}] From ${doc.url}:\n${doc.content}`
+        `[${i+1}] From ${citationLabel(doc)}:\n${doc.content}`
       ).join('\n\n');
       
       // Prepare the prompt
@@ -531,17 +1445,17 @@ Question: ${query}
 
 Provide a concise, accurate answer. If you reference specific information, indicate which numbered source ([1], [2], etc.) it came from.`;
 
-      // Generate answer with LLM
-      const response = await openai.chat.completions.create({
-        model: this.options.llmModel,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: this.options.temperature,
-        max_tokens: 1000
-      });
+      // Generate answer with the configured model, or the OpenAI LLM
+      const answer = await this.completePrompt(prompt);
       
       return {
-        answer: response.choices[0].message.content,
-        sources: relevantDocs.map(doc => ({ url: doc.url, title: doc.title }))
+        answer,
+        sources: relevantDocs.map(doc => ({
+          url: doc.url,
+          title: doc.title,
+          ...(doc.page ? { page: doc.page } : {}),
+          ...(doc.section ? { section: doc.section } : {})
+        }))
       };
     } catch (error) {
       console.error('Error generating response:', error);
@@ -552,11 +1466,37 @@ Provide a concise, accurate answer. If you reference specific information, indic
     }
   }
 
-  // Export the knowledge base for reuse
-  exportKnowledgeBase(filePath) {
+  // Answer text for a prompt from generateAnswer, or from llmModel through the
+  // OpenAI API. `system` instructions are sent as a system message, or put
+  // before the prompt for generateAnswer; `json` asks OpenAI for a JSON object.
+  async completePrompt(prompt, { system = null, temperature = this.options.temperature, json = false } = {}) {
+    const { generateAnswer } = this.options;
+    if (generateAnswer) {
+      return generateAnswer(system ? `${system}\n\n${prompt}` : prompt, { temperature });
+    }
+    
+    const response = await getOpenAI().chat.completions.create({
+      model: this.options.llmModel,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      max_tokens: 1000,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+    return response.choices[0].message.content;
+  }
+
+  // Export the knowledge base for reuse. `contents` replaces the documents,
+  // vectors and page state, e.g. with those of a Crawl4AIRagAdapter.
+  exportKnowledgeBase(filePath, contents = {}) {
+    const { documents = this.documents, vectorStore = this.vectorStore, pages = this.changeTracker.toJSON() } = contents;
     const data = {
-      documents: this.documents,
-      vectorStore: this.vectorStore,
+      documents,
+      vectorStore,
+      embedding: this.embeddingInfo(vectorStore),
+      pages,
       timestamp: new Date().toISOString()
     };
     
@@ -568,8 +1508,16 @@ Provide a concise, accurate answer. If you reference specific information, indic
   importKnowledgeBase(filePath) {
     try {
       const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      
+      const mismatch = this.embeddingMismatch(data.embedding, data.vectorStore || []);
+      if (mismatch) {
+        console.error(`Not importing ${filePath}: ${mismatch}`);
+        return false;
+      }
+      
       this.documents = data.documents || [];
       this.vectorStore = data.vectorStore || [];
+      this.changeTracker.load(data.pages);
       console.log(`Knowledge base imported from ${filePath}`);
       return true;
     } catch (error) {
@@ -608,4 +1556,4 @@ async function main() {
 // Uncomment to run the example
 // main().catch(console.error);
 
-module.exports = { DynamicWebsiteRAG, BM25Ranker };
\ No newline at end of file
+module.exports = { DynamicWebsiteRAG, BM25Ranker, DEFAULT_BM25_FIELD_WEIGHTS };
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Embedded Content Module
+// Serializes open shadow roots and allowed iframes into the captured HTML and
+// splits it back into sections that record the frame or component they came from
+
+const cheerio = require('cheerio');
+
+class EmbeddedContentExtractor {
+  constructor(options = {}) {
+    this.options = {
+      shadowDom: true,
+      frames: true,
+      allowedFrameOrigins: [],  // Cross-origin frames to include: origins or RegExps; same-origin is always allowed
+      maxFrames: 10,
+      ...options
+    };
+  }
+
+  // Same-origin frames and explicitly allowed cross-origin frames are captured
+  isFrameAllowed(frameUrl, pageUrl) {
+    let frameOrigin;
+    try {
+      const parsed = new URL(frameUrl);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+      frameOrigin = parsed.origin;
+    } catch {
+      return false;
+    }
+    
+    if (frameOrigin === new URL(pageUrl).origin) return true;
+    
+    return this.options.allowedFrameOrigins.some(allowed =>
+      allowed instanceof RegExp ? allowed.test(frameOrigin) : frameOrigin === allowed.replace(/\/+$/, '')
+    );
+  }
+
+  // Outer HTML of a frame's document, with each open shadow root inlined into
+  // its host as a <div data-rag-component="tag-name"> wrapper
+  async serializeFrame(frame) {
+    if (!this.options.shadowDom) {
+      return frame.content();
+    }
+    
+    return frame.evaluate(() => {
+      const voidTags = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+      const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+      
+      const serialize = node => {
+        if (node.nodeType === Node.TEXT_NODE) return escapeText(node.data);
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        
+        const tag = node.localName;
+        const attributes = [...node.attributes]
+          .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+          .join('');
+        if (voidTags.has(tag)) return `<${tag}${attributes}>`;
+        
+        let inner = '';
+        if (node.shadowRoot) {
+          inner += `<div data-rag-component="${escapeAttribute(tag)}">${[...node.shadowRoot.childNodes].map(serialize).join('')}</div>`;
+        }
+        const children = tag === 'template' ? node.content.childNodes : node.childNodes;
+        inner += [...children].map(serialize).join('');
+        
+        return `<${tag}${attributes}>${inner}</${tag}>`;
+      };
+      
+      return `<!DOCTYPE html>${serialize(document.documentElement)}`;
+    });
+  }
+
+  // HTML of the page with shadow roots inlined and the body of every allowed
+  // child frame appended as a <section data-rag-frame="frame url">
+  async capture(page) {
+    const html = await this.serializeFrame(page.mainFrame());
+    if (!this.options.frames) return html;
+    
+    const pageUrl = page.url();
+    const frames = page.frames()
+      .filter(frame => frame !== page.mainFrame() && !frame.isDetached())
+      .filter(frame => this.isFrameAllowed(frame.url(), pageUrl))
+      .slice(0, this.options.maxFrames);
+    if (frames.length === 0) return html;
+    
+    const $ = cheerio.load(html);
+    for (const frame of frames) {
+      try {
+        const $frame = cheerio.load(await this.serializeFrame(frame));
+        $frame('script, style, noscript').remove();
+        
+        const section = $('<section></section>').attr('data-rag-frame', frame.url());
+        section.html($frame('body').html() || '');
+        $('body').append(section);
+      } catch (error) {
+        console.warn(`Error capturing frame ${frame.url()}:`, error.message);
+      }
+    }
+    
+    return $.html();
+  }
+
+  // Split captured HTML into { frame, component, html } sections: the document
+  // itself, each frame, and each top-level shadow component inside them
+  splitSections(html, frame = null) {
+    const $ = cheerio.load(html);
+    const sections = [];
+    
+    $('[data-rag-frame]').each((_, el) => {
+      sections.push(...this.splitSections($(el).html() || '', $(el).attr('data-rag-frame')));
+    }).remove();
+    
+    $('[data-rag-component]')
+      .filter((_, el) => $(el).parents('[data-rag-component]').length === 0)
+      .each((_, el) => {
+        sections.push({ frame, component: $(el).attr('data-rag-component'), html: $(el).html() || '' });
+      })
+      .remove();
+    
+    return [{ frame, component: null, html: $.html() }, ...sections];
+  }
+}
+
+module.exports = { EmbeddedContentExtractor };
@@ -0,0 +1,252 @@
+// Embedding Cache Module
+// Disk-backed cache of embeddings keyed by a hash of the model and the text,
+// with entry and size limits, least-recently-used eviction and hit statistics
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class EmbeddingCache {
+  constructor(options = {}) {
+    this.options = {
+      cacheDir: './embedding_cache',
+      maxEntries: 100000,
+      maxBytes: 1024 * 1024 * 1024,   // 1 GB of stored vectors
+      saveDelay: 1000,                // Index writes are batched within this delay
+      ...options
+    };
+    
+    // Cache key -> { bytes, tokens, lastAccess }
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, tokensSaved: 0 };
+    this.saveTimer = null;
+    
+    this.load();
+  }
+
+  key(model, text) {
+    return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+  }
+
+  // Vectors are stored as raw float32, sharded by the first two hex digits
+  entryPath(key) {
+    return path.join(this.options.cacheDir, key.slice(0, 2), `${key}.f32`);
+  }
+
+  indexPath() {
+    return path.join(this.options.cacheDir, 'index.json');
+  }
+
+  // Cached embedding for a text, or null. `tokens` is counted as saved on a hit.
+  get(model, text, tokens = 0) {
+    const key = this.key(model, text);
+    const entry = this.entries.get(key);
+    
+    if (entry) {
+      try {
+        const buffer = fs.readFileSync(this.entryPath(key));
+        const vector = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+        
+        entry.lastAccess = Date.now();
+        this.stats.hits++;
+        this.stats.tokensSaved += tokens || entry.tokens;
+        this.scheduleSave();
+        return Array.from(vector);
+      } catch (error) {
+        // The vector file was removed or is unreadable; treat it as a miss
+        this.forget(key);
+      }
+    }
+    
+    this.stats.misses++;
+    return null;
+  }
+
+  set(model, text, embedding, tokens = 0) {
+    const key = this.key(model, text);
+    const filePath = this.entryPath(key);
+    const buffer = Buffer.from(Float32Array.from(embedding).buffer);
+    
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, buffer);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.warn('Could not write embedding to cache:', error.message);
+      return;
+    }
+    
+    const previous = this.entries.get(key);
+    if (previous) this.bytes -= previous.bytes;
+    
+    this.entries.set(key, { bytes: buffer.length, tokens, lastAccess: Date.now() });
+    this.bytes += buffer.length;
+    this.stats.writes++;
+    
+    this.evict();
+    this.scheduleSave();
+  }
+
+  // Drop least recently used entries until both limits hold again, with some
+  // headroom so eviction does not run on every write
+  evict() {
+    const { maxEntries, maxBytes } = this.options;
+    if (this.entries.size <= maxEntries && this.bytes <= maxBytes) return;
+    
+    const targetEntries = Math.floor(maxEntries * 0.9);
+    const targetBytes = Math.floor(maxBytes * 0.9);
+    const byAge = [...this.entries.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    
+    for (const [key] of byAge) {
+      if (this.entries.size <= targetEntries && this.bytes <= targetBytes) break;
+      this.forget(key);
+      this.stats.evictions++;
+    }
+  }
+
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    fs.rmSync(this.entryPath(key), { force: true });
+  }
+
+  // Remove every cached embedding
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this.forget(key);
+    }
+    this.save();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size,
+      bytes: this.bytes
+    };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.options.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  // Write the index (entries, sizes, access times and lifetime stats) atomically
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    
+    const filePath = this.indexPath();
+    const tempPath = `${filePath}.tmp`;
+    const data = {
+      entries: Object.fromEntries(this.entries),
+      stats: this.stats,
+      updatedAt: new Date().toISOString()
+    };
+    
+    try {
+      fs.mkdirSync(this.options.cacheDir, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Could not save embedding cache index to ${filePath}:`, error.message);
+    }
+  }
+
+  load() {
+    const filePath = this.indexPath();
+    
+    if (fs.existsSync(filePath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        
+        for (const [key, entry] of Object.entries(data.entries || {})) {
+          this.entries.set(key, entry);
+        }
+        this.stats = { ...this.stats, ...(data.stats || {}) };
+      } catch (error) {
+        console.warn(`Could not load embedding cache index from ${filePath}:`, error.message);
+      }
+    }
+    
+    this.reconcile();
+    
+    // Limits may have been lowered since the cache was written
+    this.evict();
+  }
+
+  // Vector files are written before the index, so after a crash the shard
+  // directories can hold files the index does not know. Adopt those (they are
+  // complete, being renamed into place), delete partial .tmp writes and drop
+  // index entries whose file is gone.
+  reconcile() {
+    const found = new Map();
+    let shards = [];
+    try {
+      shards = fs.readdirSync(this.options.cacheDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && /^[0-9a-f]{2}$/.test(dirent.name));
+    } catch {
+      // No cache directory yet
+    }
+    
+    for (const shard of shards) {
+      const shardDir = path.join(this.options.cacheDir, shard.name);
+      for (const name of fs.readdirSync(shardDir)) {
+        const filePath = path.join(shardDir, name);
+        const match = /^([0-9a-f]{64})\.f32$/.exec(name);
+        
+        try {
+          const stat = fs.statSync(filePath);
+          if (match && match[1].startsWith(shard.name) && stat.size > 0 && stat.size % 4 === 0) {
+            found.set(match[1], stat);
+          } else if (name.endsWith('.tmp') || match) {
+            fs.rmSync(filePath, { force: true });
+          }
+        } catch (error) {
+          console.warn(`Could not check cached embedding ${filePath}:`, error.message);
+        }
+      }
+    }
+    
+    let adopted = 0;
+    let missing = 0;
+    for (const [key, stat] of found) {
+      if (!this.entries.has(key)) {
+        this.entries.set(key, { bytes: stat.size, tokens: 0, lastAccess: stat.mtimeMs });
+        adopted++;
+      }
+    }
+    for (const key of [...this.entries.keys()]) {
+      if (!found.has(key)) {
+        this.entries.delete(key);
+        missing++;
+      }
+    }
+    
+    this.bytes = 0;
+    for (const entry of this.entries.values()) {
+      this.bytes += entry.bytes || 0;
+    }
+    
+    if (adopted > 0 || missing > 0) {
+      console.log(`Embedding cache: adopted ${adopted} unindexed vector(s), dropped ${missing} missing one(s)`);
+      this.save();
+    }
+  }
+}
+
+module.exports = { EmbeddingCache };
@@ -0,0 +1,239 @@
+// Embedding Pipeline Module
+// Queues texts for embedding and sends them in token-aware batches with
+// bounded concurrency, retrying rate limits and server errors with backoff.
+// Inputs that fail for good are kept in a dead-letter list for a later retry.
+
+const { countTokens } = require('./chunker');
+
+// Statuses worth retrying: timeouts, conflicts, rate limits and server errors
+function isRetryable(status) {
+  return status === undefined || status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+// Statuses caused by one of the inputs (too long, empty or malformed) rather
+// than by the request as a whole, such as a bad key (401/403) or model (404)
+function isInputError(status) {
+  return status === 400 || status === 413 || status === 422;
+}
+
+// HTTP status of an OpenAI SDK or axios error; undefined for connection errors
+function statusOf(error) {
+  if (error.status) return error.status;
+  if (error.response && error.response.status) return error.response.status;
+  return undefined;
+}
+
+// Seconds or HTTP date from a Retry-After header, in milliseconds
+function retryAfterMs(error) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class EmbeddingPipeline {
+  constructor(options = {}) {
+    this.options = {
+      embed: null,              // async (texts) => vectors, one request per batch
+      model: null,              // Model name, part of the cache key
+      cache: null,              // EmbeddingCache consulted before any request
+      maxBatchSize: 100,        // Inputs per request
+      maxBatchTokens: 100000,   // Tokens per request, below the API's per-request limit
+      maxInputTokens: 8191,     // Longer inputs are dead-lettered without a request
+      concurrency: 2,           // Requests in flight at once
+      maxRetries: 5,
+      initialRetryDelay: 1000,
+      maxRetryDelay: 60000,
+      ...options
+    };
+    
+    if (typeof this.options.embed !== 'function') {
+      throw new Error('EmbeddingPipeline requires an embed(texts) function');
+    }
+    
+    this.queue = [];
+    this.active = 0;
+    this.drainScheduled = false;
+    this.deadLetters = [];
+    this.stats = { requests: 0, embedded: 0, cached: 0, retries: 0, failed: 0 };
+  }
+
+  // Embed one text, from the cache when possible. Texts queued in the same
+  // tick share batches. Resolves with the vector, or null once the text
+  // failed for good. `context` is kept with the dead letter so the caller can
+  // finish its work on retry.
+  embed(text, context = null) {
+    return new Promise(resolve => {
+      const item = { text, context, tokens: countTokens(text), resolve };
+      
+      const { cache, model } = this.options;
+      const cached = cache ? cache.get(model, text, item.tokens) : null;
+      if (cached) {
+        this.stats.cached++;
+        resolve(cached);
+        return;
+      }
+      
+      if (item.tokens > this.options.maxInputTokens) {
+        this.deadLetter(item, new Error(`Input has ${item.tokens} tokens, more than ${this.options.maxInputTokens}`), 0);
+        return;
+      }
+      
+      this.queue.push(item);
+      this.scheduleDrain();
+    });
+  }
+
+  // Embed several texts, resolving with vectors (or nulls) in input order
+  embedMany(texts, contexts = []) {
+    return Promise.all(texts.map((text, index) => this.embed(text, contexts[index] || null)));
+  }
+
+  scheduleDrain() {
+    if (this.drainScheduled) return;
+    this.drainScheduled = true;
+    
+    setImmediate(() => {
+      this.drainScheduled = false;
+      this.drain();
+    });
+  }
+
+  // Start batches until the concurrency limit is reached
+  drain() {
+    while (this.active < this.options.concurrency && this.queue.length > 0) {
+      const batch = this.nextBatch();
+      this.active++;
+      
+      this.runBatch(batch).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  // Take queued items up to the batch size and token limits
+  nextBatch() {
+    const batch = [];
+    let tokens = 0;
+    
+    while (this.queue.length > 0 && batch.length < this.options.maxBatchSize) {
+      const item = this.queue[0];
+      if (batch.length > 0 && tokens + item.tokens > this.options.maxBatchTokens) break;
+      
+      batch.push(this.queue.shift());
+      tokens += item.tokens;
+    }
+    
+    return batch;
+  }
+
+  async runBatch(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.stats.requests++;
+        const vectors = await this.options.embed(batch.map(item => item.text));
+        
+        batch.forEach((item, index) => {
+          if (vectors[index]) {
+            this.stats.embedded++;
+            if (this.options.cache) {
+              this.options.cache.set(this.options.model, item.text, vectors[index], item.tokens);
+            }
+            item.resolve(vectors[index]);
+          } else {
+            this.deadLetter(item, new Error('No embedding returned for input'), attempt + 1);
+          }
+        });
+        return;
+      } catch (error) {
+        const status = statusOf(error);
+        
+        if (isRetryable(status) && attempt < this.options.maxRetries) {
+          const delay = this.retryDelay(attempt, error);
+          console.warn(`Embedding request failed (${status || error.message}), retrying in ${Math.round(delay)}ms`);
+          this.stats.retries++;
+          await sleep(delay);
+          continue;
+        }
+        
+        // One invalid input fails the whole request; bisect the batch so only
+        // that input is dead-lettered. Auth, quota and model errors fail every
+        // input alike, so the batch is dead-lettered at once.
+        if (isInputError(status) && batch.length > 1) {
+          const half = Math.ceil(batch.length / 2);
+          await this.runBatch(batch.slice(0, half));
+          await this.runBatch(batch.slice(half));
+          return;
+        }
+        
+        batch.forEach(item => this.deadLetter(item, error, attempt + 1));
+        return;
+      }
+    }
+  }
+
+  // Exponential backoff with jitter, or the server's Retry-After when longer
+  retryDelay(attempt, error) {
+    const { initialRetryDelay, maxRetryDelay } = this.options;
+    const backoff = Math.min(maxRetryDelay, initialRetryDelay * 2 ** attempt);
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+    const retryAfter = retryAfterMs(error);
+    
+    return retryAfter !== null ? Math.min(maxRetryDelay, Math.max(jittered, retryAfter)) : jittered;
+  }
+
+  // Give up on a text. Only texts with a context (such as the document a
+  // chunk belongs to) are kept; there is nothing to finish for search queries.
+  deadLetter(item, error, attempts) {
+    this.stats.failed++;
+    if (item.context !== null) {
+      this.deadLetters.push({
+        text: item.text,
+        context: item.context,
+        error: error.message,
+        status: statusOf(error) || null,
+        attempts,
+        failedAt: new Date().toISOString()
+      });
+    }
+    console.warn(`Embedding failed after ${attempts} attempt(s): ${error.message}`);
+    item.resolve(null);
+  }
+
+  // Embed dead-lettered texts again. Resolves with { context, embedding } for
+  // each text that succeeded; the others go back on the dead-letter list.
+  async retryDeadLetters(predicate = () => true) {
+    const entries = this.deadLetters.filter(predicate);
+    this.deadLetters = this.deadLetters.filter(entry => !entries.includes(entry));
+    
+    const embeddings = await this.embedMany(
+      entries.map(entry => entry.text),
+      entries.map(entry => entry.context)
+    );
+    
+    return entries
+      .map((entry, index) => ({ context: entry.context, embedding: embeddings[index] }))
+      .filter(result => result.embedding);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      inFlight: this.active,
+      deadLetters: this.deadLetters.length
+    };
+  }
+}
+
+module.exports = { EmbeddingPipeline };
@@ -0,0 +1,184 @@
+// Embedding Providers Module
+// Interchangeable embedding backends: the OpenAI API, OpenAI-compatible
+// servers (Ollama, vLLM, LocalAI, text-embeddings-inference) and a local
+// hashing embedder that runs on the CPU without any network access.
+//
+// A provider has an `id` naming the vectors it produces (part of the
+// embedding cache key) and an async `embed(texts)` returning one vector per text.
+
+const crypto = require('crypto');
+
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.options = {
+      model: 'text-embedding-3-small',
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: undefined,
+      dimensions: null,   // Shortened vectors, for models that support it
+      timeout: 60000,
+      ...options
+    };
+    
+    this.id = this.options.dimensions ? `${this.options.model}:${this.options.dimensions}` : this.options.model;
+    this.client = null;
+  }
+
+  // The client is created on first use, so an unused provider needs no API key.
+  // Its own retries are disabled because the embedding pipeline retries with backoff.
+  getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({
+        apiKey: this.options.apiKey,
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async embed(texts) {
+    const { model, dimensions } = this.options;
+    const response = await this.getClient().embeddings.create({
+      model,
+      input: texts,
+      ...(dimensions ? { dimensions } : {})
+    });
+    
+    // Some compatible servers omit the index and keep input order
+    return response.data
+      .map((item, position) => ({ ...item, index: item.index !== undefined ? item.index : position }))
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Self-hosted servers that implement POST /v1/embeddings
+class OpenAICompatibleEmbeddingProvider extends OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      // Most local servers ignore the key, but the client requires one
+      apiKey: options.apiKey || process.env.EMBEDDING_API_KEY || 'not-needed'
+    });
+    
+    if (!this.options.baseURL) {
+      throw new Error('OpenAICompatibleEmbeddingProvider requires a baseURL, e.g. http://localhost:11434/v1');
+    }
+    
+    // Servers may serve different models under the same name
+    this.id = `${this.id}@${this.options.baseURL}`;
+  }
+}
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Deterministic feature-hashing embedder. Words, word pairs and character
+// trigrams are hashed into a fixed number of signed buckets, weighted by log
+// term frequency and normalized to unit length. It matches shared vocabulary
+// rather than meaning, but needs no model download, GPU or network.
+class LocalHashingEmbeddingProvider {
+  constructor(options = {}) {
+    this.options = {
+      dimensions: 1024,
+      wordPairs: true,            // Add "word1 word2" features for phrase matches
+      charTrigrams: true,         // Add trigrams so word forms ("crawl", "crawler") overlap
+      charTrigramWeight: 0.5,
+      seed: 'local-hashing',      // Changing the seed changes every vector
+      ...options
+    };
+    
+    const seedHash = crypto.createHash('sha1').update(this.options.seed).digest('hex').slice(0, 8);
+    this.id = `local-hashing:${this.options.dimensions}:${seedHash}`;
+    this.seed = seedHash;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.vectorize(text));
+  }
+
+  // Weighted features of a text: feature -> weight
+  features(text) {
+    const words = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+    
+    words.forEach((word, index) => {
+      add(`w:${word}`, 1);
+      
+      if (this.options.wordPairs && index > 0) {
+        add(`p:${words[index - 1]} ${word}`, 1);
+      }
+      
+      if (this.options.charTrigrams && word.length > 3) {
+        const padded = `^${word}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`c:${padded.slice(i, i + 3)}`, this.options.charTrigramWeight);
+        }
+      }
+    });
+    
+    return counts;
+  }
+
+  vectorize(text) {
+    const { dimensions } = this.options;
+    const vector = new Array(dimensions).fill(0);
+    const features = this.features(text);
+    
+    // Text without words still gets a valid unit vector
+    if (features.size === 0) features.set('', 1);
+    
+    for (const [feature, count] of features) {
+      const hash = fnv1a(`${this.seed}:${feature}`);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      const weight = count > 1 ? 1 + Math.log(count) : count;
+      vector[hash % dimensions] += sign * weight;
+    }
+    
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
+
+// Build a provider from a name ('openai', 'openai-compatible', 'local'), an
+// options object with a `type`, or return a custom provider object as-is.
+// `defaults` (such as the configured embedding model) apply to API providers.
+function createEmbeddingProvider(config = 'openai', defaults = {}) {
+  if (config && typeof config.embed === 'function') {
+    if (!config.id) {
+      throw new Error('Custom embedding providers need an id naming their vectors');
+    }
+    return config;
+  }
+  
+  const { type, ...options } = typeof config === 'string' ? { type: config } : config;
+  
+  switch (type) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({ ...defaults, ...options });
+    case 'openai-compatible':
+      return new OpenAICompatibleEmbeddingProvider({ ...defaults, ...options });
+    case 'local':
+    case 'local-hashing':
+      return new LocalHashingEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider: ${type}`);
+  }
+}
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  OpenAICompatibleEmbeddingProvider,
+  LocalHashingEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,257 @@
+// Freshness Scheduler Module
+// Tracks when each knowledge base source was crawled, derives recrawl
+// cadences from fixed intervals or sitemap changefreq/lastmod, persists the
+// schedule and recrawls due sources in the background
+
+const fs = require('fs');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Recrawl interval for each sitemap <changefreq> value ("never" means archived)
+const CHANGEFREQ_INTERVALS = {
+  always: HOUR,
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY,
+  monthly: 30 * DAY,
+  yearly: 365 * DAY,
+  never: Infinity
+};
+
+class FreshnessScheduler {
+  // recrawl is an async (url, source) => void that refreshes one source and
+  // throws when the crawl fails
+  constructor(options = {}) {
+    this.options = {
+      recrawl: null,
+      schedulePath: './rag2_data/freshness-schedule.json',
+      sitemapEntries: new Map(),   // Page URL -> sitemap entry, as collected by DynamicWebsiteRAG
+      defaultInterval: DAY,        // Interval for sources without a policy or sitemap data
+      minInterval: HOUR,
+      maxInterval: 30 * DAY,
+      checkInterval: 60 * 1000,    // How often the background timer looks for due sources
+      retryDelay: 5 * 60 * 1000,   // First retry after a failed recrawl, doubled per failure
+      recentLastmods: 10,          // Most recent lastmod dates used to estimate the update rate
+      ...options
+    };
+    
+    // Source URL -> { url, policy, lastCrawledAt, nextCrawlAt, failures, lastError }
+    this.sources = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Track a source. policy is { interval } (ms) for a fixed cadence, or
+  // { cadence: 'sitemap' } to follow the site's changefreq and lastmod values.
+  addSource(url, policy = {}) {
+    const existing = this.sources.get(url);
+    const source = {
+      url,
+      policy: { cadence: 'sitemap', ...policy },
+      lastCrawledAt: existing ? existing.lastCrawledAt : null,
+      nextCrawlAt: existing ? existing.nextCrawlAt : null,
+      failures: existing ? existing.failures : 0,
+      lastError: existing ? existing.lastError : null
+    };
+    
+    // Reschedule from the last crawl in case the policy changed
+    if (source.lastCrawledAt) {
+      source.nextCrawlAt = new Date(Date.parse(source.lastCrawledAt) + this.intervalFor(source)).toISOString();
+    }
+    
+    this.sources.set(url, source);
+    this.save();
+    return source;
+  }
+
+  removeSource(url) {
+    const removed = this.sources.delete(url);
+    if (removed) this.save();
+    return removed;
+  }
+
+  // Sitemap entries that belong to a source's site
+  entriesFor(url) {
+    const { host } = new URL(url);
+    return [...this.options.sitemapEntries.values()].filter(entry => {
+      try {
+        return new URL(entry.url).host === host;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Estimated update interval of a site from its sitemap: the shortest declared
+  // changefreq, or the average gap between its most recent lastmod dates,
+  // whichever is shorter
+  sitemapInterval(url) {
+    const entries = this.entriesFor(url);
+    const candidates = [];
+    
+    const declared = entries
+      .map(entry => CHANGEFREQ_INTERVALS[entry.changefreq])
+      .filter(interval => interval !== undefined);
+    if (declared.length > 0) {
+      candidates.push(Math.min(...declared));
+    }
+    
+    const lastmods = entries
+      .map(entry => Date.parse(entry.lastmod))
+      .filter(time => !Number.isNaN(time))
+      .sort((a, b) => b - a)
+      .slice(0, this.options.recentLastmods);
+    if (lastmods.length > 1) {
+      candidates.push((lastmods[0] - lastmods[lastmods.length - 1]) / (lastmods.length - 1));
+    }
+    
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+
+  // Recrawl interval for a source, clamped to [minInterval, maxInterval]
+  intervalFor(source) {
+    let interval = source.policy.interval;
+    
+    if (!interval && source.policy.cadence === 'sitemap') {
+      interval = this.sitemapInterval(source.url);
+    }
+    if (!interval) {
+      interval = this.options.defaultInterval;
+    }
+    
+    return Math.min(this.options.maxInterval, Math.max(this.options.minInterval, interval));
+  }
+
+  // Record a finished crawl of a source, whether it was scheduled or not
+  recordCrawl(url, error = null) {
+    const source = this.sources.get(url) || this.addSource(url);
+    const now = Date.now();
+    
+    if (error) {
+      source.failures++;
+      source.lastError = error.message || String(error);
+      const retry = this.options.retryDelay * 2 ** (source.failures - 1);
+      source.nextCrawlAt = new Date(now + Math.min(retry, this.intervalFor(source))).toISOString();
+    } else {
+      source.failures = 0;
+      source.lastError = null;
+      source.lastCrawledAt = new Date(now).toISOString();
+      source.nextCrawlAt = new Date(now + this.intervalFor(source)).toISOString();
+    }
+    
+    this.save();
+    return source;
+  }
+
+  isStale(source, now = Date.now()) {
+    return !source.nextCrawlAt || Date.parse(source.nextCrawlAt) <= now;
+  }
+
+  // Sources that are due for a recrawl, most overdue first
+  getStaleSources(now = Date.now()) {
+    return [...this.sources.values()]
+      .filter(source => this.isStale(source, now))
+      .map(source => ({
+        url: source.url,
+        lastCrawledAt: source.lastCrawledAt,
+        nextCrawlAt: source.nextCrawlAt,
+        overdueBy: source.nextCrawlAt ? now - Date.parse(source.nextCrawlAt) : null,
+        failures: source.failures,
+        lastError: source.lastError
+      }))
+      .sort((a, b) => (b.overdueBy === null ? Infinity : b.overdueBy) - (a.overdueBy === null ? Infinity : a.overdueBy));
+  }
+
+  // Recrawl every stale source, one at a time. Resolves with the URLs refreshed.
+  async runDue() {
+    if (this.running || !this.options.recrawl) {
+      return [];
+    }
+    
+    this.running = true;
+    const refreshed = [];
+    try {
+      for (const { url } of this.getStaleSources()) {
+        // The source may have been removed while an earlier one was crawling
+        const source = this.sources.get(url);
+        if (!source) continue;
+        
+        console.log(`Recrawling stale source: ${url}`);
+        try {
+          await this.options.recrawl(url, source);
+          this.recordCrawl(url);
+          refreshed.push(url);
+        } catch (error) {
+          console.error(`Scheduled recrawl of ${url} failed:`, error.message);
+          this.recordCrawl(url, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    
+    return refreshed;
+  }
+
+  // Check for due sources periodically. The timer does not keep the process alive.
+  start() {
+    if (this.timer) return;
+    
+    this.timer = setInterval(() => {
+      this.runDue().catch(error => console.error('Freshness check failed:', error.message));
+    }, this.options.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Write the schedule atomically, like crawl checkpoints. Sitemap entries of
+  // tracked sources are saved too, so sitemap cadences survive a restart.
+  save() {
+    const filePath = this.options.schedulePath;
+    const tempPath = `${filePath}.tmp`;
+    const sitemapEntries = [...new Map([...this.sources.keys()]
+      .flatMap(url => this.entriesFor(url))
+      .map(entry => [entry.url, entry])).values()];
+    
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ sources: [...this.sources.values()], sitemapEntries }, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Could not save freshness schedule to ${filePath}:`, error.message);
+    }
+  }
+
+  load() {
+    const filePath = this.options.schedulePath;
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    
+    try {
+      const { sources = [], sitemapEntries = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.sources = new Map(sources.map(source => [source.url, source]));
+      
+      // Entries from a crawl in this process are newer than the saved ones
+      for (const entry of sitemapEntries) {
+        if (!this.options.sitemapEntries.has(entry.url)) {
+          this.options.sitemapEntries.set(entry.url, entry);
+        }
+      }
+      return true;
+    } catch (error) {
+      console.warn(`Could not load freshness schedule from ${filePath}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = { FreshnessScheduler, CHANGEFREQ_INTERVALS };
@@ -0,0 +1,55 @@
+// Hash Route Module
+// Navigates between the fragment routes of hash-routed SPAs (#/settings,
+// #!/reports) through the app's own router instead of reloading the page
+
+const { isHashRoute } = require('./url-canonicalizer');
+
+// URL without its fragment, identifying the loaded document
+function documentUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+class HashRouteNavigator {
+  constructor(options = {}) {
+    this.options = {
+      maxRoutesPerPage: 20,   // Remaining routes are queued on the frontier and loaded normally
+      hashChangeTimeout: 3000,
+      settleDelay: 500,
+      ...options
+    };
+  }
+
+  // Whether a URL is a hash route of the given document
+  isRouteOf(url, pageUrl) {
+    try {
+      return isHashRoute(new URL(url).hash) && documentUrl(url) === documentUrl(pageUrl);
+    } catch {
+      return false;
+    }
+  }
+
+  // Switch to a route by assigning location.hash, so the SPA router renders
+  // the view without a full page load
+  async navigate(page, url) {
+    const { hash } = new URL(url);
+    
+    await page.evaluate(({ hash, timeout }) => new Promise(resolve => {
+      if (location.hash === hash) return resolve();
+      
+      const timer = setTimeout(resolve, timeout);
+      window.addEventListener('hashchange', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+      location.hash = hash;
+    }), { hash, timeout: this.options.hashChangeTimeout });
+    
+    // Give the router time to fetch data and render the new view
+    await page.waitForLoadState('networkidle', { timeout: this.options.hashChangeTimeout }).catch(() => {});
+    await page.waitForTimeout(this.options.settleDelay);
+  }
+}
+
+module.exports = { HashRouteNavigator, documentUrl };
@@ -0,0 +1,301 @@
+// HTML to Markdown Module
+// Converts captured HTML to GitHub-flavored markdown, keeping tables, fenced
+// code blocks with their language, links, images, blockquotes and nested lists
+
+const cheerio = require('cheerio');
+
+// Elements that start a new block; everything else is rendered inline
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'details', 'dialog', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul'
+]);
+
+// Elements that never contain readable content
+const REMOVED_ELEMENTS = 'script, style, iframe, noscript, template, svg, canvas, head';
+
+// Class name patterns used by Prism, highlight.js, GitHub and others for code languages
+const CODE_LANGUAGE_PATTERN = /(?:^|\s)(?:language|lang|highlight-source|brush)[-:]\s*([\w+#.-]+)/i;
+
+// Markdown inline code span that survives backticks inside the code
+function codeSpan(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+// Prefix the first line of a block and indent the rest to line up with it
+function indentBlock(text, firstPrefix, restPrefix) {
+  return text.split('\n')
+    .map((line, index) => (index === 0 ? firstPrefix : line ? restPrefix : '') + line)
+    .join('\n');
+}
+
+class MarkdownConverter {
+  constructor(options = {}) {
+    this.options = {
+      includeTitle: true,            // Start with "# <title>" when the document has one
+      images: true,                  // Keep images that have alt text as ![alt](src)
+      imagesWithoutAlt: false,       // Also keep images without alt text
+      links: true,                   // Keep link targets as [text](href)
+      bulletMarker: '-',
+      ...options
+    };
+  }
+
+  // Convert an HTML document or fragment. Relative links and images are
+  // resolved against <base href> or baseUrl when given.
+  convert(html, baseUrl = null) {
+    const $ = cheerio.load(html);
+    const title = $('title').first().text().trim();
+    
+    let base = baseUrl;
+    try {
+      const baseHref = $('base[href]').attr('href');
+      if (baseHref) base = new URL(baseHref, baseUrl || undefined).href;
+    } catch {
+      // Ignore malformed <base> tags
+    }
+    
+    $(REMOVED_ELEMENTS).remove();
+    
+    const root = $('body').length > 0 ? $('body') : $.root();
+    let markdown = this.renderBlocks($, root.contents().toArray(), { base });
+    
+    if (this.options.includeTitle && title && !markdown.startsWith(`# ${title}\n`)) {
+      markdown = markdown ? `# ${title}\n\n${markdown}` : `# ${title}`;
+    }
+    
+    return markdown.trim();
+  }
+
+  isBlock(node) {
+    return node.type === 'tag' && BLOCK_ELEMENTS.has(node.name.toLowerCase());
+  }
+
+  // Render a sequence of nodes as blocks separated by blank lines. Runs of
+  // inline content between blocks become paragraphs.
+  renderBlocks($, nodes, context, separator = '\n\n') {
+    const blocks = [];
+    let inline = '';
+    
+    const flush = () => {
+      const paragraph = inline.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+    
+    for (const node of nodes) {
+      if (this.isBlock(node)) {
+        flush();
+        const block = this.renderBlock($, node, context);
+        if (block) blocks.push(block);
+      } else {
+        inline += this.renderInline($, node, context);
+      }
+    }
+    flush();
+    
+    return blocks.join(separator);
+  }
+
+  renderBlock($, node, context) {
+    const tag = node.name.toLowerCase();
+    const children = $(node).contents().toArray();
+    
+    if (/^h[1-6]$/.test(tag)) {
+      const text = this.renderInlineText($, children, context);
+      return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+    }
+    
+    switch (tag) {
+      case 'pre':
+        return this.renderCodeBlock($, node);
+      case 'ul':
+      case 'ol':
+        return this.renderList($, node, context);
+      case 'table':
+        return this.renderTable($, node, context);
+      case 'blockquote': {
+        const inner = this.renderBlocks($, children, context);
+        return inner ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '';
+      }
+      case 'hr':
+        return '---';
+      case 'dt': {
+        const term = this.renderInlineText($, children, context);
+        return term ? `**${term}**` : '';
+      }
+      case 'li':
+        // List items outside a list are rendered as bullets of their own
+        return this.renderListItem($, node, context, `${this.options.bulletMarker} `);
+      default:
+        return this.renderBlocks($, children, context);
+    }
+  }
+
+  // Fenced code block, with the language taken from class names or data attributes
+  renderCodeBlock($, node) {
+    const $pre = $(node);
+    const $code = $pre.children('code').first();
+    const code = $pre.text().replace(/^\n/, '').replace(/\s+$/, '');
+    if (!code) return '';
+    
+    const candidates = [$code, $pre, $pre.parent()].filter($el => $el.length > 0);
+    let language = '';
+    for (const $el of candidates) {
+      const declared = $el.attr('data-lang') || $el.attr('data-language');
+      const match = ($el.attr('class') || '').match(CODE_LANGUAGE_PATTERN);
+      language = declared || (match && match[1]) || '';
+      if (language) break;
+    }
+    
+    const longestRun = Math.max(2, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language.toLowerCase()}\n${code}\n${fence}`;
+  }
+
+  renderList($, node, context) {
+    const ordered = node.name.toLowerCase() === 'ol';
+    let number = parseInt($(node).attr('start'), 10);
+    if (Number.isNaN(number)) number = 1;
+    
+    return $(node).children('li').toArray().map(item => {
+      const marker = ordered ? `${number++}. ` : `${this.options.bulletMarker} `;
+      return this.renderListItem($, item, context, marker);
+    }).filter(Boolean).join('\n');
+  }
+
+  // A list item's text and nested lists, indented under its marker
+  renderListItem($, node, context, marker) {
+    const content = this.renderBlocks($, $(node).contents().toArray(), context, '\n');
+    if (!content) return '';
+    return indentBlock(content, marker, ' '.repeat(marker.length));
+  }
+
+  // GitHub-style table. The first row is the header; cells spanning several
+  // columns are padded with empty cells.
+  renderTable($, node, context) {
+    const $table = $(node);
+    const rows = $table.find('tr').toArray()
+      .filter(row => $(row).closest('table')[0] === node)
+      .map(row => {
+        const cells = [];
+        $(row).children('th, td').each((_, cell) => {
+          const text = this.renderInlineText($, $(cell).contents().toArray(), context)
+            .replace(/\n+/g, ' ')
+            .replace(/\|/g, '\\|');
+          const span = Math.max(1, parseInt($(cell).attr('colspan'), 10) || 1);
+          cells.push(text, ...Array(span - 1).fill(''));
+        });
+        return { cells, $row: $(row) };
+      })
+      .filter(row => row.cells.length > 0);
+    
+    if (rows.length === 0) return '';
+    
+    const width = Math.max(...rows.map(row => row.cells.length));
+    const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+    const line = cells => `| ${pad(cells).join(' | ')} |`;
+    
+    // Column alignment from the header cells' align attribute or text-align style
+    const alignments = pad(rows[0].$row.children('th, td').toArray().map(cell => {
+      const align = ($(cell).attr('align') || (($(cell).attr('style') || '').match(/text-align:\s*(\w+)/) || [])[1] || '').toLowerCase();
+      if (align === 'center') return ':---:';
+      if (align === 'right') return '---:';
+      if (align === 'left') return ':---';
+      return '---';
+    })).map(alignment => alignment || '---');
+    
+    const caption = this.renderInlineText($, $table.children('caption').contents().toArray(), context);
+    
+    return [
+      ...(caption ? [`**${caption}**`, ''] : []),
+      line(rows[0].cells),
+      `| ${alignments.join(' | ')} |`,
+      ...rows.slice(1).map(row => line(row.cells))
+    ].join('\n');
+  }
+
+  // Inline rendering of nodes with whitespace collapsed
+  renderInlineText($, nodes, context) {
+    return nodes.map(node => this.renderInline($, node, context)).join('')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .trim();
+  }
+
+  renderInline($, node, context) {
+    if (node.type === 'text') {
+      return node.data.replace(/\s+/g, ' ');
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+    
+    const tag = node.name.toLowerCase();
+    const $node = $(node);
+    const inner = () => this.renderInlineText($, $node.contents().toArray(), context);
+    
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'a': {
+        const text = inner();
+        const href = this.resolveUrl($node.attr('href'), context.base);
+        if (!text || !this.options.links || !href || /^(javascript|mailto|tel):/i.test(href) || href.startsWith('#')) {
+          return text;
+        }
+        return `[${text}](${href})`;
+      }
+      case 'img': {
+        const alt = ($node.attr('alt') || '').trim();
+        const src = this.resolveUrl($node.attr('src'), context.base);
+        if (!this.options.images || !src || src.startsWith('data:')) return alt;
+        if (!alt && !this.options.imagesWithoutAlt) return '';
+        return `![${alt}](${src})`;
+      }
+      case 'code':
+      case 'kbd':
+      case 'samp': {
+        const code = $node.text().replace(/\s+/g, ' ');
+        return code.trim() ? codeSpan(code) : '';
+      }
+      case 'strong':
+      case 'b': {
+        const text = inner();
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = inner();
+        return text ? `*${text}*` : '';
+      }
+      case 'del':
+      case 's':
+      case 'strike': {
+        const text = inner();
+        return text ? `~~${text}~~` : '';
+      }
+      default:
+        // Block elements nested in inline ones (e.g. a <div> inside a link) are flattened
+        return this.isBlock(node) ? ` ${inner()} ` : $node.contents().toArray()
+          .map(child => this.renderInline($, child, context)).join('');
+    }
+  }
+
+  resolveUrl(href, base) {
+    if (!href) return null;
+    const trimmed = href.trim();
+    if (!base || trimmed.startsWith('#')) return trimmed;
+    try {
+      return new URL(trimmed, base).href;
+    } catch {
+      return trimmed;
+    }
+  }
+}
+
+module.exports = { MarkdownConverter };
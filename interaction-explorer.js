@@ -0,0 +1,227 @@
+// Interaction Explorer Module
+// Clicks interactive elements to reveal hidden UI states while refusing
+// destructive actions, suppressing form submissions and capturing each
+// distinct DOM state only once, with a replayable interaction path
+
+const crypto = require('crypto');
+
+// Controls whose text or aria-label suggests an irreversible action
+const DEFAULT_DENY_PATTERNS = [
+  /\bdelete\b/i, /\bremove\b/i, /\bdestroy\b/i, /\berase\b/i, /\bdiscard\b/i,
+  /\blog\s*-?\s*out\b/i, /\bsign\s*-?\s*out\b/i,
+  /\bpurchase\b/i, /\bbuy\b/i, /\bcheckout\b/i, /\bpay\b/i, /\bplace\s+order\b/i, /\bsubscribe\b/i,
+  /\bunsubscribe\b/i, /\bcancel\s+(subscription|account|order|plan)\b/i,
+  /\bdeactivate\b/i, /\bdisable\s+account\b/i, /\breset\b/i, /\brevoke\b/i,
+  /\btransfer\b/i, /\bsend\b/i, /\bpublish\b/i, /\bapprove\b/i, /\breject\b/i
+];
+
+const DEFAULT_DENY_SELECTORS = [
+  'input[type="submit"]',
+  'input[type="reset"]',
+  '[data-destructive]',
+  '[data-danger]',
+  '.btn-danger',
+  '.danger',
+  'a[href^="mailto:"]',
+  'a[href^="tel:"]',
+  'a[download]'
+];
+
+class InteractionExplorer {
+  constructor(options = {}) {
+    this.options = {
+      selectors: {},                // { category: { selectors, budget } } catalogue to search for candidates
+      denyTexts: DEFAULT_DENY_PATTERNS,
+      denyAriaLabels: DEFAULT_DENY_PATTERNS,
+      denySelectors: DEFAULT_DENY_SELECTORS,
+      allowFormSubmit: false,
+      maxInteractions: 5,
+      interactionDelay: 1000,
+      ...options
+    };
+  }
+
+  // Block form submissions on the page, including ones triggered from scripts
+  async install(page) {
+    if (this.options.allowFormSubmit) return;
+    
+    const suppressSubmit = () => {
+      document.addEventListener('submit', event => {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      }, true);
+      HTMLFormElement.prototype.submit = function () {};
+      HTMLFormElement.prototype.requestSubmit = function () {};
+    };
+    
+    await page.addInitScript(suppressSubmit);
+    await page.evaluate(suppressSubmit).catch(() => {});
+  }
+
+  // Hash of the rendered text and open/expanded widgets, identifying a UI state
+  async fingerprint(page) {
+    const snapshot = await page.evaluate(() => {
+      const text = (document.body ? document.body.innerText : '').replace(/\s+/g, ' ').trim();
+      const openWidgets = document.querySelectorAll(
+        '[aria-expanded="true"], [aria-selected="true"], details[open], dialog[open], [aria-modal="true"]'
+      ).length;
+      return `${text}|${openWidgets}`;
+    });
+    return crypto.createHash('sha1').update(snapshot).digest('hex');
+  }
+
+  // Describe every visible element matching the selector catalogue, with a
+  // unique CSS path that can be used to click or replay it later
+  async findCandidates(page, catalogue = this.options.selectors) {
+    const candidates = [];
+    const seenPaths = new Set();
+    
+    for (const [category, entry] of Object.entries(catalogue)) {
+      const selectors = Array.isArray(entry) ? entry : entry.selectors;
+      for (const selector of selectors) {
+        try {
+          const found = await page.$$eval(selector, (elements, denySelectors) => {
+            const cssPath = el => {
+              const parts = [];
+              while (el && el.nodeType === 1 && el !== document.body) {
+                if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+                  parts.unshift(`#${CSS.escape(el.id)}`);
+                  return parts.join(' > ');
+                }
+                let part = el.tagName.toLowerCase();
+                const siblings = [...el.parentElement.children].filter(sibling => sibling.tagName === el.tagName);
+                if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+                parts.unshift(part);
+                el = el.parentElement;
+              }
+              return ['body', ...parts].join(' > ');
+            };
+            
+            return elements
+              .filter(el => {
+                const rect = el.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+              })
+              .map(el => ({
+                path: cssPath(el),
+                text: (el.textContent || el.value || '').replace(/\s+/g, ' ').trim().slice(0, 100),
+                ariaLabel: el.getAttribute('aria-label') || '',
+                tagName: el.tagName,
+                submitsForm: (el.tagName === 'BUTTON' || el.tagName === 'INPUT') && el.type === 'submit' && Boolean(el.form),
+                deniedBySelector: denySelectors.some(deny => el.matches(deny))
+              }));
+          }, this.options.denySelectors);
+          
+          for (const candidate of found) {
+            if (seenPaths.has(candidate.path)) continue;
+            seenPaths.add(candidate.path);
+            candidates.push({ ...candidate, category, selector });
+          }
+        } catch (error) {
+          console.warn(`Error finding elements with selector "${selector}":`, error.message);
+        }
+      }
+    }
+    
+    return candidates;
+  }
+
+  // Reason a candidate must not be clicked, or null if it is safe
+  getDenyReason(candidate) {
+    const matches = (patterns, value) => value && patterns.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(value) : value.toLowerCase().includes(pattern.toLowerCase())
+    );
+    
+    if (candidate.deniedBySelector) return 'matches a denied selector';
+    if (candidate.submitsForm && !this.options.allowFormSubmit) return 'submits a form';
+    if (matches(this.options.denyTexts, candidate.text)) return `denied text "${candidate.text}"`;
+    if (matches(this.options.denyAriaLabels, candidate.ariaLabel)) return `denied aria-label "${candidate.ariaLabel}"`;
+    return null;
+  }
+
+  // Click safe candidates one by one, within maxInteractions overall and each
+  // category's budget. onState is awaited for every UI state not seen before
+  // during this visit (`seen` holds their DOM fingerprints), with the page left
+  // in that state and the path that produced it.
+  async explore(page, { candidates, catalogue = this.options.selectors, onState, onNavigate, seen = new Set() }) {
+    const startUrl = page.url();
+    seen.add(await this.fingerprint(page));
+    
+    const states = [];
+    let currentPath = [];
+    let interactionsCount = 0;
+    const categoryCounts = {};
+    
+    for (const candidate of candidates) {
+      if (interactionsCount >= this.options.maxInteractions) break;
+      
+      const entry = catalogue[candidate.category];
+      const budget = entry && !Array.isArray(entry) && entry.budget !== undefined ? entry.budget : Infinity;
+      if ((categoryCounts[candidate.category] || 0) >= budget) continue;
+      
+      const denyReason = this.getDenyReason(candidate);
+      if (denyReason) {
+        console.log(`Not clicking "${candidate.text || candidate.path}": ${denyReason}`);
+        continue;
+      }
+      
+      const step = { path: candidate.path, text: candidate.text, category: candidate.category };
+      
+      try {
+        const element = await page.$(candidate.path);
+        if (!element) continue;
+        
+        await element.scrollIntoViewIfNeeded();
+        await page.waitForTimeout(300);
+        await element.click();
+        await page.waitForTimeout(this.options.interactionDelay);
+        interactionsCount++;
+        categoryCounts[candidate.category] = (categoryCounts[candidate.category] || 0) + 1;
+        currentPath = [...currentPath, step];
+        
+        const newUrl = page.url();
+        const fingerprint = await this.fingerprint(page);
+        
+        if (!seen.has(fingerprint)) {
+          seen.add(fingerprint);
+          const state = { url: newUrl, fingerprint, path: currentPath };
+          states.push(state);
+          await onState({ ...state, step });
+        }
+        
+        // Return to the original page after SPA navigation so exploration can continue
+        if (newUrl !== startUrl) {
+          if (onNavigate) onNavigate(newUrl);
+          await page.goBack();
+          await page.waitForLoadState('domcontentloaded').catch(() => {});
+          await page.waitForTimeout(this.options.interactionDelay);
+          currentPath = [];
+        }
+      } catch (error) {
+        console.warn(`Error interacting with element (${candidate.text}):`, error.message);
+      }
+    }
+    
+    return states;
+  }
+
+  // Reproduce a recorded UI state by loading the URL and clicking the path again
+  async replay(page, url, path) {
+    await this.install(page);
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+    await page.waitForLoadState('networkidle').catch(() => {});
+    
+    for (const step of path) {
+      const element = await page.$(step.path);
+      if (!element) {
+        throw new Error(`Cannot replay step "${step.text}": ${step.path} not found`);
+      }
+      await element.click();
+      await page.waitForTimeout(this.options.interactionDelay);
+    }
+    
+    return page;
+  }
+}
+
+module.exports = { InteractionExplorer, DEFAULT_DENY_PATTERNS, DEFAULT_DENY_SELECTORS };
@@ -0,0 +1,159 @@
+// Interactive Selector Catalogue
+// CSS selectors for UI controls that reveal hidden content, grouped into
+// categories with their own interaction budgets, plus per-site profile overrides.
+// Selectors are plain CSS (no :visible); visibility is checked when elements are found.
+
+// Specific categories come first: an element matched by several categories is
+// attributed to the first one, so generic buttons are last
+const DEFAULT_SELECTOR_CATALOGUE = {
+  tabs: {
+    budget: 6,
+    selectors: [
+      '[role="tab"]:not([aria-selected="true"])',
+      '.nav-tabs .nav-link:not(.active)',
+      '[data-toggle="tab"]',
+      '[data-bs-toggle="tab"]',
+      '.tabs button:not(.active)'
+    ]
+  },
+  accordions: {
+    budget: 6,
+    selectors: [
+      '.accordion-button.collapsed',
+      '[data-toggle="collapse"]',
+      '[data-bs-toggle="collapse"]',
+      '[aria-controls][aria-expanded="false"]'
+    ]
+  },
+  details: {
+    budget: 8,
+    selectors: [
+      'details:not([open]) > summary'
+    ]
+  },
+  menus: {
+    budget: 3,
+    selectors: [
+      '[aria-haspopup="menu"]',
+      '[aria-haspopup="true"]',
+      '[role="menubar"] [role="menuitem"][aria-expanded="false"]',
+      '.navbar-toggler',
+      '.menu-toggle'
+    ]
+  },
+  dropdowns: {
+    budget: 3,
+    selectors: [
+      '.dropdown-toggle',
+      '[data-toggle="dropdown"]',
+      '[data-bs-toggle="dropdown"]',
+      '[aria-haspopup="listbox"]',
+      '[role="combobox"][aria-expanded="false"]'
+    ]
+  },
+  carousels: {
+    budget: 4,
+    selectors: [
+      '.carousel-control-next',
+      '.slick-next',
+      '.swiper-button-next',
+      '[aria-label*="next slide" i]',
+      '[class*="carousel"] [class*="next"]'
+    ]
+  },
+  modals: {
+    budget: 2,
+    selectors: [
+      '[data-toggle="modal"]',
+      '[data-bs-toggle="modal"]',
+      '[aria-haspopup="dialog"]',
+      '[data-modal-target]'
+    ]
+  },
+  pagination: {
+    budget: 3,
+    selectors: [
+      '[role="navigation"][aria-label*="pagination" i] button',
+      '.pagination button',
+      '.pagination a[href="#"]',
+      'button[aria-label*="next page" i]'
+    ]
+  },
+  expandables: {
+    budget: 4,
+    selectors: [
+      '[aria-expanded="false"]',
+      '[class*="show-more"]',
+      '[class*="read-more"]',
+      '.expand',
+      '.collapse-toggle'
+    ]
+  },
+  buttons: {
+    budget: 4,
+    selectors: [
+      'button',
+      'input[type="button"]',
+      'a[role="button"]',
+      '[role="button"]',
+      '.btn',
+      '.button',
+      '[class*="btn-"]'
+    ]
+  }
+};
+
+// Apply one profile to a catalogue. Each category override may be:
+//   false                       - disable the category
+//   ['sel', ...]                - replace its selectors
+//   { selectors, extend, budget } - replace and/or extend selectors, change the budget
+// Unknown categories are added (with an unlimited budget unless one is given).
+function applySelectorProfile(catalogue, profile = {}) {
+  const result = { ...catalogue };
+  
+  for (const [category, override] of Object.entries(profile)) {
+    if (override === false || override === null) {
+      delete result[category];
+      continue;
+    }
+    
+    const base = result[category] || { budget: Infinity, selectors: [] };
+    if (Array.isArray(override)) {
+      result[category] = { ...base, selectors: [...override] };
+      continue;
+    }
+    
+    result[category] = {
+      budget: override.budget !== undefined ? override.budget : base.budget,
+      selectors: [...(override.selectors || base.selectors), ...(override.extend || [])]
+    };
+  }
+  
+  return result;
+}
+
+// Resolve the catalogue for a URL from site profiles keyed by hostname.
+// The "*" profile applies everywhere; a host profile also matches subdomains.
+function selectorProfileFor(url, profiles = {}) {
+  let catalogue = applySelectorProfile(DEFAULT_SELECTOR_CATALOGUE, profiles['*']);
+  
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return catalogue;
+  }
+  
+  // Apply less specific domains first so the most specific profile wins
+  const matching = Object.keys(profiles)
+    .filter(host => host !== '*' && (hostname === host || hostname.endsWith(`.${host}`)))
+    .sort((a, b) => a.length - b.length);
+  
+  for (const host of matching) {
+    catalogue = applySelectorProfile(catalogue, profiles[host]);
+  }
+  
+  return catalogue;
+}
+
+module.exports = { DEFAULT_SELECTOR_CATALOGUE, applySelectorProfile, selectorProfileFor };
@@ -1,18 +1,18 @@
 // Implementation of RAG 2.0 with LangGraph
 // Based on RAG 2.0 concepts from the documentation in paste.txt
 
-const { OpenAI } = require('openai');
 const { DynamicWebsiteRAG } = require('./dynamic-rag-system');
 const { Crawl4AIRagAdapter } = require('./crawl-for-ai-integration');
 const { LangGraphRAG } = require('./spa-rag-integration');
+const { StaticCrawler } = require('./static-crawler');
+const { liveDocuments } = require('./change-tracker');
+const { FreshnessScheduler } = require('./freshness-scheduler');
+const { citationLabel } = require('./document-ingestor');
+const { matchesFilters } = require('./metadata-extractor');
+const { EmbeddingCache } = require('./embedding-cache');
 const fs = require('fs');
 const path = require('path');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 /**
  * RAG 2.0 implementation using LangGraph
  * This class implements the advanced RAG concepts from the documentation:
@@ -29,6 +29,8 @@ class RAG2System {
       useBM25: true,
       cacheExpiration: 3600000, // 1 hour in milliseconds
       dataDir: './rag2_data',
+      crawler: 'auto', // 'auto' (probe each site), 'static', 'dynamic' or 'crawl4ai'
+      freshness: {}, // FreshnessScheduler overrides; { enabled: false } turns background recrawls off
       ...options
     };
     
@@ -37,6 +39,13 @@ class RAG2System {
       fs.mkdirSync(this.options.dataDir, { recursive: true });
     }
     
+    // The crawlers below share one embedding cache instead of each keeping
+    // its own index over the same cacheDir
+    const { embeddingCache = true } = this.options;
+    if (embeddingCache && !(embeddingCache instanceof EmbeddingCache)) {
+      this.options.embeddingCache = new EmbeddingCache(typeof embeddingCache === 'object' ? embeddingCache : {});
+    }
+    
     // Initialize components
     this.dynamicRAG = new DynamicWebsiteRAG({
       ...this.options,
@@ -57,8 +66,76 @@ class RAG2System {
       interactionDelay: 1500
     });
     
+    // Browserless crawler for server-rendered sites, sharing the dynamic crawler's index
+    this.staticCrawler = new StaticCrawler(this.dynamicRAG);
+    this.renderDetector = this.staticCrawler.renderDetector;
+    
     // Cache for web data
     this.dataCache = new Map();
+    
+    // Crawls share the crawlers' documents, vector stores and change trackers,
+    // so user-triggered and scheduled crawls run one at a time
+    this.crawlQueue = Promise.resolve();
+    
+    // Recrawl crawled websites in the background before they go stale
+    const { enabled = true, ...freshnessOptions } = this.options.freshness;
+    this.freshness = new FreshnessScheduler({
+      schedulePath: path.join(this.options.dataDir, 'freshness-schedule.json'),
+      sitemapEntries: this.dynamicRAG.sitemapEntries,
+      recrawl: url => this.crawlWebsite(url),
+      ...freshnessOptions
+    });
+    this.freshness.load();
+    
+    if (enabled) {
+      this.freshness.start();
+    }
+  }
+  
+  /**
+   * Track a website's freshness so it is recrawled in the background
+   * @param {string} url Website URL
+   * @param {Object} policy { interval } in ms, or { cadence: 'sitemap' } (default)
+   *   to follow the site's sitemap changefreq and lastmod values
+   * @returns {Object} The tracked source
+   */
+  trackSource(url, policy = {}) {
+    return this.freshness.addSource(url, policy);
+  }
+  
+  /**
+   * Websites whose scheduled recrawl is due or overdue
+   * @returns {Array} Stale sources with lastCrawledAt, nextCrawlAt and overdueBy (ms)
+   */
+  getStaleSources() {
+    return this.freshness.getStaleSources();
+  }
+  
+  /**
+   * Choose a crawler for a website. In 'auto' mode the start page is probed and
+   * a browser is only used when its content is rendered client-side.
+   * @param {string} url Website URL
+   * @returns {Promise<string>} 'static', 'dynamic' or 'crawl4ai'
+   */
+  async chooseCrawler(url) {
+    if (this.options.crawler !== 'auto') {
+      return this.options.crawler;
+    }
+    
+    // Logging in requires a browser
+    if (this.dynamicRAG.auth) {
+      return 'dynamic';
+    }
+    
+    const probe = await this.renderDetector.probe(url, {
+      renderPage: pageUrl => this.dynamicRAG.renderPage(pageUrl)
+    });
+    
+    if (probe.needsBrowser) {
+      console.log(`${url} needs a browser: ${probe.reasons.join('; ')}`);
+      return 'dynamic';
+    }
+    return 'static';
   }
   
   /**
@@ -78,41 +155,13 @@ class RAG2System {
       return cachedData.documents;
     }
     
-    console.log(`Crawling website: ${url}`);
-    
-    // Decide which crawler to use based on URL complexity
-    let documents = [];
     try {
-      // Determine if site likely needs dynamic crawling
-      const dynamicSitePatterns = [
-        'angular', 'react', 'vue', 'spa', 'app', 'dashboard',
-        'platform', 'portal', '#', 'javascript:', '?_escaped_fragment_=',
-        'client', 'single-page'
-      ];
-      
-      const needsDynamicCrawling = dynamicSitePatterns.some(pattern => 
-        url.toLowerCase().includes(pattern)
-      );
-      
-      if (needsDynamicCrawling) {
-        // Use dynamic website crawler for SPAs
-        await this.dynamicRAG.crawlDynamicSite(url, 1);
-        documents = this.dynamicRAG.documents;
-      } else {
-        // Use Crawl4AI for more standard websites
-        await this.crawl4aiAdapter.crawlWebsite(url, 1);
-        documents = this.crawl4aiAdapter.documents;
-      }
-      
-      // Cache the results
-      this.dataCache.set(cacheKey, {
-        documents,
-        timestamp: Date.now()
-      });
-      
+      const documents = await this.crawlWebsite(url);
+      this.freshness.recordCrawl(url);
       return documents;
     } catch (error) {
       console.error(`Error crawling ${url}:`, error.message);
+      this.freshness.recordCrawl(url, error);
       
       // If we have cached data, return it even if expired
       if (cachedData) {
@@ -124,6 +173,55 @@ class RAG2System {
     }
   }
   
+  /**
+   * Crawl a website with the crawler that suits it and cache its documents.
+   * Waits for any crawl already in progress, including scheduled recrawls.
+   * @param {string} url URL to crawl
+   * @returns {Promise<Array>} Crawled documents
+   */
+  crawlWebsite(url) {
+    const crawl = this.crawlQueue.then(() => this.runCrawl(url));
+    this.crawlQueue = crawl.catch(() => {});
+    return crawl;
+  }
+  
+  /**
+   * Crawl a website right away; use crawlWebsite so crawls do not overlap
+   * @param {string} url URL to crawl
+   * @returns {Promise<Array>} Crawled documents
+   */
+  async runCrawl(url) {
+    console.log(`Crawling website: ${url}`);
+    
+    // Decide which crawler to use based on how the site renders
+    let documents = [];
+    const crawler = await this.chooseCrawler(url);
+    
+    if (crawler === 'dynamic') {
+      // Use dynamic website crawler for SPAs
+      await this.dynamicRAG.crawlDynamicSite(url, 1);
+      documents = this.dynamicRAG.documents;
+    } else if (crawler === 'crawl4ai') {
+      await this.crawl4aiAdapter.crawlWebsite(url, 1);
+      documents = this.crawl4aiAdapter.documents;
+    } else {
+      // Fetch server-rendered pages directly; pages that need JavaScript fall back to the browser
+      await this.staticCrawler.crawl(url, 1);
+      documents = this.dynamicRAG.documents;
+    }
+    
+    // Chunks of changed or removed pages stay stored but are not retrieved
+    documents = liveDocuments(documents);
+    
+    // Cache the results
+    this.dataCache.set(`website_${url}`, {
+      documents,
+      timestamp: Date.now()
+    });
+    
+    return documents;
+  }
+  
   /**
    * BM25 ranking implementation for document filtering
    * @param {Array} documents Documents to rank
@@ -133,7 +231,7 @@ class RAG2System {
    */
   rankWithBM25(documents, query, topK = 5) {
     const { BM25Ranker } = require('./dynamic-rag-system');
-    const ranker = new BM25Ranker(documents, { title: 2, content: 1 });
+    const ranker = new BM25Ranker(documents, this.dynamicRAG.options.bm25FieldWeights);
     return ranker.search(query, topK);
   }
   
@@ -141,9 +239,10 @@ class RAG2System {
    * Process a user query using RAG 2.0 approach
    * @param {string} query User query
    * @param {Array} websiteUrls Optional specific website URLs to search
+   * @param {Object} filters Optional metadata filters, e.g. { language: 'en', publishedAfter: '2024-01-01' }
    * @returns {Promise<Object>} Response with answer and sources
    */
-  async processQuery(query, websiteUrls = []) {
+  async processQuery(query, websiteUrls = [], filters = {}) {
     try {
       console.log(`Processing query: "${query}"`);
       
@@ -152,23 +251,16 @@ class RAG2System {
       
       if (this.options.useRealTimeData && sitesToCrawl.length === 0) {
         // Use LLM to identify relevant websites if none provided
-        const siteSuggestionResponse = await openai.chat.completions.create({
-          model: this.options.llmModel,
-          messages: [
-            { 
-              role: 'system', 
-              content: 'You are an AI assistant that analyzes user queries and determines which websites would contain the most relevant information. Output ONLY a JSON array of up to 3 specific website URLs without any explanation.'
-            },
-            { 
-              role: 'user', 
-              content: `Based on this user query, provide a JSON array of up to 3 specific website URLs that would likely contain the most relevant information: "${query}"` 
-            }
-          ],
-          response_format: { type: "json_object" }
-        });
+        const siteSuggestionResponse = await this.dynamicRAG.completePrompt(
+          `Based on this user query, provide a JSON array of up to 3 specific website URLs that would likely contain the most relevant information: "${query}"`,
+          {
+            system: 'You are an AI assistant that analyzes user queries and determines which websites would contain the most relevant information. Output ONLY a JSON array of up to 3 specific website URLs without any explanation.',
+            json: true
+          }
+        );
         
         try {
-          const suggestedSites = JSON.parse(siteSuggestionResponse.choices[0].message.content).urls || [];
+          const suggestedSites = JSON.parse(siteSuggestionResponse).urls || [];
           sitesToCrawl = [...suggestedSites];
           console.log(`Identified ${sitesToCrawl.length} relevant websites:`, sitesToCrawl);
         } catch (jsonError) {
@@ -185,6 +277,12 @@ class RAG2System {
       
       console.log(`Collected ${allDocuments.length} documents from ${sitesToCrawl.length} websites`);
       
+      // Keep only documents whose metadata matches the filters
+      if (Object.keys(filters).length > 0) {
+        allDocuments = allDocuments.filter(doc => matchesFilters(doc, filters));
+        console.log(`${allDocuments.length} documents match the metadata filters`);
+      }
+      
       // Step 3: Filter documents using BM25 if enabled
       let relevantDocuments = allDocuments;
       if (this.options.useBM25 && allDocuments.length > 0) {
@@ -202,30 +300,25 @@ class RAG2System {
       
       // Prepare context for the LLM
       const context = relevantDocuments.map((doc, i) => 
-        `[${i+1}] From ${doc.url}:\n${doc.content}`
+        `[${i+1}] From ${citationLabel(doc)}:\n${doc.content}`
       ).join('\n\n');
       
       // Generate an answer
-      const response = await openai.chat.completions.create({
-        model: this.options.llmModel,
-        messages: [
-          { 
-            role: 'system', 
-            content: 'You are a helpful AI assistant that specializes in real-time information retrieval. Answer questions based ONLY on the provided context. If the context doesn\'t contain enough information, acknowledge that and explain what might help. Cite your sources with [1], [2], etc.'
-          },
-          { 
-            role: 'user', 
-            content: `Context from web pages crawled in real-time:\n\n${context}\n\nQuestion: ${query}\n\nProvide a detailed answer based only on the information in the context above. Cite your sources.` 
-          }
-        ],
-        temperature: 0.2
-      });
+      const answer = await this.dynamicRAG.completePrompt(
+        `Context from web pages crawled in real-time:\n\n${context}\n\nQuestion: ${query}\n\nProvide a detailed answer based only on the information in the context above. Cite your sources.`,
+        {
+          system: 'You are a helpful AI assistant that specializes in real-time information retrieval. Answer questions based ONLY on the provided context. If the context doesn\'t contain enough information, acknowledge that and explain what might help. Cite your sources with [1], [2], etc.',
+          temperature: 0.2
+        }
+      );
       
       return {
-        answer: response.choices[0].message.content,
+        answer,
         sources: relevantDocuments.map(doc => ({
           url: doc.url,
-          title: doc.title || doc.url
+          title: doc.title || doc.url,
+          ...(doc.page ? { page: doc.page } : {}),
+          ...(doc.section ? { section: doc.section } : {})
         }))
       };
       
@@ -278,6 +371,7 @@ class RAG2System {
    * Clean up resources
    */
   async close() {
+    this.freshness.stop();
     await this.dynamicRAG.close();
   }
 }
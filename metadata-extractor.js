@@ -0,0 +1,180 @@
+// Metadata Extractor Module
+// Reads page-level metadata (title, description, canonical URL, language,
+// author, dates, OpenGraph and JSON-LD) from HTML, and filters documents by it
+
+const cheerio = require('cheerio');
+
+// JSON-LD properties kept on each entity besides its type and name
+const JSON_LD_PROPERTIES = [
+  'headline', 'description', 'author', 'datePublished', 'dateModified',
+  'sku', 'brand', 'price', 'priceCurrency', 'version', 'softwareVersion', 'url'
+];
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Display text of a JSON-LD value: strings as-is, Person/Organization/Brand
+// objects by name, arrays joined
+function jsonLdText(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    const parts = value.map(jsonLdText).filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+  if (typeof value === 'object') {
+    return jsonLdText(value.name || value['@value'] || null);
+  }
+  return String(value).trim() || null;
+}
+
+// Value at a dotted path such as "openGraph.type"
+function getField(doc, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Flatten a metadata value (string, array or object) into searchable text
+function fieldText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(fieldText).join(' ');
+  if (typeof value === 'object') return Object.values(value).map(fieldText).join(' ');
+  return String(value);
+}
+
+// Whether a document passes retrieval filters. Keys are document fields (dotted
+// paths allowed) matched by a value, a list of values, a RegExp or a predicate;
+// plus publishedAfter/Before, modifiedAfter/Before and jsonLdType.
+function matchesFilters(doc, filters = {}) {
+  return Object.entries(filters).every(([key, expected]) => {
+    if (expected === undefined) return true;
+    
+    const dateFilter = key.match(/^(published|modified)(After|Before)$/);
+    if (dateFilter) {
+      const actual = Date.parse(doc[`${dateFilter[1]}At`]);
+      if (Number.isNaN(actual)) return false;
+      return dateFilter[2] === 'After' ? actual >= Date.parse(expected) : actual <= Date.parse(expected);
+    }
+    
+    const actual = key === 'jsonLdType'
+      ? (doc.jsonLd || []).flatMap(entity => [].concat(entity.type))
+      : getField(doc, key);
+    
+    if (typeof expected === 'function') return Boolean(expected(actual, doc));
+    
+    const values = [].concat(actual).filter(value => value !== null && value !== undefined);
+    const accepted = [].concat(expected);
+    
+    return values.some(value => accepted.some(option =>
+      option instanceof RegExp
+        ? option.test(String(value))
+        : String(value).toLowerCase() === String(option).toLowerCase()
+    ));
+  });
+}
+
+class MetadataExtractor {
+  constructor(options = {}) {
+    this.options = {
+      maxJsonLdEntities: 10,
+      maxDescriptionLength: 500,
+      ...options
+    };
+  }
+
+  // Metadata for a page. Missing fields are omitted so they never overwrite
+  // values passed in by the caller.
+  extract(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const meta = name => $(`meta[name="${name}" i], meta[property="${name}" i]`).first().attr('content') || null;
+    
+    const openGraph = this.extractOpenGraph($);
+    const jsonLd = this.extractJsonLd($);
+    const mainEntity = jsonLd.find(entity => entity.headline || entity.datePublished) || jsonLd[0] || {};
+    
+    const description = meta('description') || openGraph.description || mainEntity.description || null;
+    const keywords = (meta('keywords') || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+    
+    const metadata = {
+      title: $('head > title').first().text().trim() || openGraph.title || mainEntity.headline ||
+        mainEntity.name || $('h1').first().text().trim() || null,
+      description: description ? description.trim().slice(0, this.options.maxDescriptionLength) : null,
+      canonicalUrl: this.resolve($('link[rel="canonical"]').attr('href'), pageUrl),
+      language: ($('html').attr('lang') || meta('content-language') ||
+        $('meta[http-equiv="content-language" i]').attr('content') || openGraph.locale || '')
+        .trim().replace('_', '-').toLowerCase() || null,
+      author: meta('author') || meta('article:author') || mainEntity.author ||
+        $('[rel="author"]').first().text().trim() || null,
+      publishedAt: toIsoDate(meta('article:published_time') || mainEntity.datePublished ||
+        meta('date') || meta('dc.date') || $('time[datetime]').first().attr('datetime')),
+      modifiedAt: toIsoDate(meta('article:modified_time') || meta('og:updated_time') ||
+        mainEntity.dateModified || meta('last-modified')),
+      siteName: openGraph.site_name || null,
+      keywords: keywords.length > 0 ? keywords : null,
+      openGraph: Object.keys(openGraph).length > 0 ? openGraph : null,
+      jsonLd: jsonLd.length > 0 ? jsonLd : null
+    };
+    
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== ''));
+  }
+
+  // og:* properties without the prefix, e.g. { title, type, image, site_name }
+  extractOpenGraph($) {
+    const openGraph = {};
+    
+    $('meta[property^="og:"]').each((_, el) => {
+      const key = $(el).attr('property').slice(3).replace(/:/g, '_');
+      const content = ($(el).attr('content') || '').trim();
+      
+      // Repeated properties such as og:image keep the first value
+      if (content && !(key in openGraph)) openGraph[key] = content;
+    });
+    
+    return openGraph;
+  }
+
+  // Entities from <script type="application/ld+json">, following @graph lists.
+  // Each entity keeps its type, name and a few common scalar properties.
+  extractJsonLd($) {
+    const entities = [];
+    
+    const collect = node => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(collect);
+      if (node['@graph']) collect(node['@graph']);
+      if (!node['@type']) return;
+      
+      // Product prices live on the (first) offer
+      const offer = [].concat(node.offers || [])[0] || {};
+      
+      const entity = { type: node['@type'], name: jsonLdText(node.name) };
+      for (const property of JSON_LD_PROPERTIES) {
+        const value = jsonLdText(node[property] !== undefined ? node[property] : offer[property]);
+        if (value) entity[property] = value;
+      }
+      entities.push(Object.fromEntries(Object.entries(entity).filter(([, value]) => value)));
+    };
+    
+    $('script[type="application/ld+json"]').each((_, el) => {
+      try {
+        collect(JSON.parse($(el).contents().text()));
+      } catch (error) {
+        console.warn('Skipping malformed JSON-LD block:', error.message);
+      }
+    });
+    
+    return entities.slice(0, this.options.maxJsonLdEntities);
+  }
+
+  resolve(href, pageUrl) {
+    if (!href) return null;
+    try {
+      return new URL(href, pageUrl).href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { MetadataExtractor, matchesFilters, getField, fieldText };
@@ -0,0 +1,212 @@
+// Near-Duplicate Module
+// SimHash fingerprints for chunks, a banded index to find stored chunks that
+// are nearly identical, provenance lists and markdown deltas between UI states
+
+const crypto = require('crypto');
+
+const FINGERPRINT_BITS = 64;
+const HEADING_PATTERN = /^(#{1,6})\s+\S/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// 64-bit hash of a shingle
+function hash64(text) {
+  return BigInt(`0x${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}`);
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+// Split markdown into blocks separated by blank lines, keeping fenced code
+// blocks whole
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+  
+  for (const line of markdown.split('\n')) {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    
+    if (!inFence && !line.trim()) {
+      if (current.length > 0) blocks.push(current.join('\n'));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  
+  return blocks;
+}
+
+function blockKey(block) {
+  return block.replace(/\s+/g, ' ').trim();
+}
+
+// Whether two texts contain the same numbers in the same order. Chunks that
+// differ only in a price, version or date are not duplicates.
+function sameNumbers(a, b) {
+  const numbers = text => (text.match(/\d+(?:[.,]\d+)*/g) || []).join(' ');
+  return numbers(a) === numbers(b);
+}
+
+// Record that a chunk's text appeared at a URL or UI state. Entries are
+// unique per URL and source.
+function addProvenance(document, { url, source, interactionPath = null }) {
+  if (!document.provenance) {
+    document.provenance = [];
+  }
+  
+  const seen = document.provenance.some(entry => entry.url === url && entry.source === source);
+  if (!seen) {
+    document.provenance.push({ url, source, ...(interactionPath ? { interactionPath } : {}) });
+  }
+  return document;
+}
+
+class NearDuplicateDetector {
+  constructor(options = {}) {
+    this.options = {
+      threshold: 6,       // Maximum differing fingerprint bits for chunks to count as duplicates
+      shingleSize: 3,     // Words per shingle
+      minWords: 8,        // Shorter chunks are only matched exactly
+      crossPage: false,   // Also match chunks stored for other pages, reusing their embeddings
+      ...options
+    };
+    
+    // threshold + 1 bands: chunks within the threshold share at least one band
+    this.bandCount = Math.min(this.options.threshold + 1, FINGERPRINT_BITS);
+    this.bandBits = Math.floor(FINGERPRINT_BITS / this.bandCount);
+    
+    this.bands = new Map();
+    this.indexed = new Set();
+    this.source = null;
+  }
+
+  // SimHash of a text as 16 hex digits, or null when it is too short to compare
+  fingerprint(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length < this.options.minWords) return null;
+    
+    const size = Math.min(this.options.shingleSize, words.length);
+    const weights = new Array(FINGERPRINT_BITS).fill(0);
+    
+    for (let i = 0; i + size <= words.length; i++) {
+      const hash = hash64(words.slice(i, i + size).join(' '));
+      for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+        weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+    
+    let fingerprint = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) fingerprint |= 1n << BigInt(bit);
+    });
+    
+    return fingerprint.toString(16).padStart(16, '0');
+  }
+
+  bandKeys(fingerprint) {
+    const value = BigInt(`0x${fingerprint}`);
+    const mask = (1n << BigInt(this.bandBits)) - 1n;
+    
+    return Array.from({ length: this.bandCount }, (_, band) =>
+      `${band}:${(value >> BigInt(band * this.bandBits)) & mask}`
+    );
+  }
+
+  // Index a stored document by its `simhash` field
+  add(document) {
+    if (!document.simhash || this.indexed.has(document)) return;
+    
+    for (const key of this.bandKeys(document.simhash)) {
+      if (!this.bands.has(key)) this.bands.set(key, new Set());
+      this.bands.get(key).add(document);
+    }
+    this.indexed.add(document);
+  }
+
+  // Rebuild the index when the documents array was replaced or edited
+  // elsewhere, fingerprinting documents stored without one
+  sync(documents) {
+    if (this.source === documents && this.indexed.size <= documents.length) return;
+    
+    this.bands = new Map();
+    this.indexed = new Set();
+    this.source = documents;
+    
+    for (const document of documents) {
+      if (document.simhash === undefined) {
+        document.simhash = this.fingerprint(document.content || '');
+      }
+      this.add(document);
+    }
+  }
+
+  // The closest live document within the threshold that `accept` allows.
+  // With `content`, documents whose numbers differ from it never match.
+  find(fingerprint, accept = () => true, content = null) {
+    if (!fingerprint) return null;
+    
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const key of this.bandKeys(fingerprint)) {
+      for (const document of this.bands.get(key) || []) {
+        if (document.tombstoned || !accept(document)) continue;
+        if (content !== null && !sameNumbers(content, document.content)) continue;
+        
+        const distance = hammingDistance(fingerprint, document.simhash);
+        if (distance <= this.options.threshold && distance < bestDistance) {
+          best = document;
+          bestDistance = distance;
+        }
+      }
+    }
+    
+    return best;
+  }
+
+  // Markdown holding only the blocks that are not in `seenBlocks`, with the
+  // headings above them so chunks keep their section context. The new blocks
+  // are added to `seenBlocks`. Unchanged markdown is returned as-is.
+  delta(markdown, seenBlocks) {
+    const blocks = splitBlocks(markdown).map(block => {
+      // Single-line headings; a heading followed directly by text counts as content
+      const heading = !block.includes('\n') && block.match(HEADING_PATTERN);
+      return heading
+        ? { block, level: heading[1].length }
+        : { block, level: null, isNew: !seenBlocks.has(blockKey(block)) };
+    });
+    
+    for (const { block, level } of blocks) {
+      if (level === null) seenBlocks.add(blockKey(block));
+    }
+    
+    if (blocks.every(({ level, isNew }) => level !== null || isNew)) {
+      return markdown;
+    }
+    
+    // Keep a heading only when new content follows before the next heading
+    // of the same or a higher level
+    const kept = blocks.filter(({ level, isNew }, index) => {
+      if (level === null) return isNew;
+      
+      for (const next of blocks.slice(index + 1)) {
+        if (next.level !== null && next.level <= level) return false;
+        if (next.level === null && next.isNew) return true;
+      }
+      return false;
+    });
+    
+    return kept.map(({ block }) => block).join('\n\n');
+  }
+}
+
+module.exports = { NearDuplicateDetector, addProvenance, hammingDistance, sameNumbers };
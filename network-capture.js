@@ -0,0 +1,142 @@
+// Network Capture Module
+// Records JSON responses from a page's XHR/fetch calls and flattens them into
+// readable text documents that cite the API endpoint as their source
+
+const crypto = require('crypto');
+
+class NetworkCapture {
+  constructor(options = {}) {
+    this.options = {
+      urlPatterns: [],                  // RegExps or substrings; empty captures every JSON response
+      excludePatterns: [/analytics/i, /telemetry/i, /tracking/i, /\/collect\b/i],
+      contentTypes: ['application/json', 'application/ld+json', '+json'],
+      resourceTypes: ['xhr', 'fetch'],
+      maxBodyBytes: 2 * 1024 * 1024,
+      maxDepth: 8,
+      maxArrayItems: 200,
+      ...options
+    };
+    
+    // Hashes of payloads already turned into documents, across pages
+    this.seenPayloads = new Set();
+  }
+
+  matches(url, patterns) {
+    return patterns.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+    );
+  }
+
+  // Decide from the response metadata whether the body is worth reading
+  shouldCapture(response) {
+    const request = response.request();
+    const url = response.url();
+    const contentType = (response.headers()['content-type'] || '').toLowerCase();
+    
+    if (!this.options.resourceTypes.includes(request.resourceType())) return false;
+    if (response.status() < 200 || response.status() >= 300) return false;
+    if (!this.options.contentTypes.some(type => contentType.includes(type))) return false;
+    if (this.matches(url, this.options.excludePatterns)) return false;
+    if (this.options.urlPatterns.length > 0 && !this.matches(url, this.options.urlPatterns)) return false;
+    
+    const length = parseInt(response.headers()['content-length'] || '0', 10);
+    return !(length > this.options.maxBodyBytes);
+  }
+
+  // Start collecting matching responses; returns a handle whose stop()
+  // detaches the listener and resolves with the captured payloads
+  attach(page) {
+    const pending = [];
+    const captured = [];
+    
+    const onResponse = response => {
+      if (!this.shouldCapture(response)) return;
+      
+      pending.push(response.text()
+        .then(body => {
+          if (body.length > this.options.maxBodyBytes) return;
+          captured.push({
+            endpoint: response.url(),
+            method: response.request().method(),
+            data: JSON.parse(body)
+          });
+        })
+        .catch(() => {}));
+    };
+    
+    page.on('response', onResponse);
+    
+    return {
+      stop: async () => {
+        page.off('response', onResponse);
+        await Promise.all(pending);
+        return captured;
+      }
+    };
+  }
+
+  // Flatten a JSON value into "path: value" lines, keeping nesting readable
+  flatten(value, prefix = '', depth = 0, lines = []) {
+    if (depth > this.options.maxDepth) return lines;
+    
+    if (Array.isArray(value)) {
+      value.slice(0, this.options.maxArrayItems).forEach((item, index) => {
+        this.flatten(item, `${prefix}[${index}]`, depth + 1, lines);
+      });
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        this.flatten(child, prefix ? `${prefix}.${key}` : key, depth + 1, lines);
+      }
+    } else if (value !== null && value !== undefined && value !== '') {
+      lines.push(`${prefix || 'value'}: ${value}`);
+    }
+    
+    return lines;
+  }
+
+  // Put each top-level record (the first array element in a path) in its own
+  // paragraph so the chunker can split large payloads between records
+  groupLines(lines) {
+    const paragraphs = [];
+    let currentKey = null;
+    
+    for (const line of lines) {
+      const path = line.slice(0, line.indexOf(': '));
+      const recordMatch = path.match(/^[^[]*\[\d+\]/);
+      const key = recordMatch ? recordMatch[0] : '';
+      
+      if (paragraphs.length === 0 || key !== currentKey) {
+        paragraphs.push([]);
+        currentKey = key;
+      }
+      paragraphs[paragraphs.length - 1].push(line);
+    }
+    
+    return paragraphs.map(paragraph => paragraph.join('\n')).join('\n\n');
+  }
+
+  // Turn captured payloads into markdown documents, skipping duplicates
+  toDocuments(payloads, pageUrl) {
+    const documents = [];
+    
+    for (const { endpoint, method, data } of payloads) {
+      // Identical payloads are skipped even if cache-busting parameters changed the endpoint
+      const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+      if (this.seenPayloads.has(hash)) continue;
+      this.seenPayloads.add(hash);
+      
+      const lines = this.flatten(data);
+      if (lines.length === 0) continue;
+      
+      documents.push({
+        endpoint,
+        pageUrl,
+        markdown: `# API response: ${method} ${endpoint}\n\n${this.groupLines(lines)}`
+      });
+    }
+    
+    return documents;
+  }
+}
+
+module.exports = { NetworkCapture };
@@ -0,0 +1,265 @@
+// Crawl Politeness Module
+// Shared robots.txt compliance and per-host rate limiting for every crawler
+
+const axios = require('axios');
+
+// Parsed robots.txt rules for a single user agent
+class RobotsTxt {
+  constructor(content = '', userAgent = '*') {
+    this.userAgent = userAgent.toLowerCase();
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(content);
+    
+    const group = this.selectGroup();
+    this.rules = group ? group.rules : [];
+    this.crawlDelay = group ? group.crawlDelay : null;
+  }
+
+  // Split the file into user-agent groups with their allow/disallow rules
+  parse(content) {
+    let current = null;
+    let lastWasAgent = false;
+    
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the same group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+      
+      lastWasAgent = false;
+      
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+      } else if (!current) {
+        continue;
+      } else if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything" and adds no rule
+        if (value) current.rules.push({ allow: field === 'allow', path: value, pattern: this.compilePattern(value) });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay)) current.crawlDelay = delay;
+      }
+    }
+  }
+
+  // Pick the group whose user-agent token best matches ours, falling back to "*"
+  selectGroup() {
+    let best = null;
+    let bestLength = -1;
+    
+    for (const group of this.groups) {
+      for (const agent of group.agents) {
+        if (agent !== '*' && this.userAgent.includes(agent) && agent.length > bestLength) {
+          best = group;
+          bestLength = agent.length;
+        }
+      }
+    }
+    
+    return best || this.groups.find(group => group.agents.includes('*')) || null;
+  }
+
+  // Convert a robots path pattern (supporting * and $) into a RegExp
+  compilePattern(rulePath) {
+    const anchored = rulePath.endsWith('$');
+    const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  // Check a URL path; the longest matching rule wins and Allow wins ties
+  check(url) {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    let match = null;
+    
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!match || rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow)) {
+        match = rule;
+      }
+    }
+    
+    return {
+      allowed: !match || match.allow,
+      rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null
+    };
+  }
+}
+
+// Robots.txt cache plus per-host delay and in-flight limits
+class PolitenessManager {
+  constructor(options = {}) {
+    this.options = {
+      userAgent: 'DynamicRAGBot',
+      respectRobotsTxt: true,
+      minHostDelay: 1000,
+      maxInFlightPerHost: 2,
+      robotsTimeout: 10000,
+      ...options
+    };
+    
+    this.robotsCache = new Map();
+    this.hosts = new Map();
+  }
+
+  // Fetch and parse robots.txt for an origin (cached per origin).
+  // Missing files (4xx) allow everything; server errors and unreachable
+  // hosts disallow everything, as the robots exclusion protocol requires.
+  async getRobots(url) {
+    const { origin } = new URL(url);
+    
+    if (!this.robotsCache.has(origin)) {
+      this.robotsCache.set(origin, this.fetchRobots(origin));
+    }
+    
+    return this.robotsCache.get(origin);
+  }
+
+  async fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: this.options.robotsTimeout,
+        responseType: 'text',
+        headers: { 'User-Agent': this.options.userAgent },
+        validateStatus: () => true
+      });
+      
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsTxt(String(response.data), this.options.userAgent);
+      }
+      
+      if (response.status >= 400 && response.status < 500) {
+        return new RobotsTxt('', this.options.userAgent);
+      }
+      
+      console.warn(`robots.txt at ${robotsUrl} returned ${response.status}; treating site as disallowed`);
+    } catch (error) {
+      console.warn(`Could not fetch ${robotsUrl} (${error.message}); treating site as disallowed`);
+    }
+    
+    return new RobotsTxt('User-agent: *\nDisallow: /', this.options.userAgent);
+  }
+
+  // Decide whether a URL may be crawled, with a human-readable reason when not
+  async check(url) {
+    if (!this.options.respectRobotsTxt) {
+      return { allowed: true, reason: null };
+    }
+    
+    const robots = await this.getRobots(url);
+    const { allowed, rule } = robots.check(url);
+    
+    return {
+      allowed,
+      reason: allowed ? null : `disallowed by robots.txt (${rule}) for ${this.options.userAgent}`
+    };
+  }
+
+  // Filter a list of URLs down to the ones robots.txt allows, logging skips
+  async filterAllowed(urls) {
+    const allowed = [];
+    
+    for (const url of urls) {
+      const verdict = await this.check(url);
+      if (verdict.allowed) {
+        allowed.push(url);
+      } else {
+        console.log(`Skipping ${url}: ${verdict.reason}`);
+      }
+    }
+    
+    return allowed;
+  }
+
+  // Minimum delay between requests to a host, honoring Crawl-delay
+  async getHostDelay(url) {
+    let delay = this.options.minHostDelay;
+    
+    if (this.options.respectRobotsTxt) {
+      const robots = await this.getRobots(url);
+      if (robots.crawlDelay !== null) {
+        delay = Math.max(delay, robots.crawlDelay * 1000);
+      }
+    }
+    
+    return delay;
+  }
+
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { inFlight: 0, lastStart: 0, queue: [], timer: null, delay: this.options.minHostDelay });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Start as many queued requests for a host as its limits allow
+  pump(host) {
+    const state = this.hostState(host);
+    
+    while (state.queue.length > 0 && state.inFlight < this.options.maxInFlightPerHost && !state.timer) {
+      const wait = state.lastStart + state.delay - Date.now();
+      if (wait > 0) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          this.pump(host);
+        }, wait);
+        return;
+      }
+      
+      state.inFlight++;
+      state.lastStart = Date.now();
+      state.queue.shift()();
+    }
+  }
+
+  // Wait for a request slot on the URL's host
+  async acquire(url) {
+    const { host } = new URL(url);
+    const state = this.hostState(host);
+    state.delay = await this.getHostDelay(url);
+    
+    await new Promise(resolve => {
+      state.queue.push(resolve);
+      this.pump(host);
+    });
+  }
+
+  release(url) {
+    const { host } = new URL(url);
+    const state = this.hostState(host);
+    state.inFlight = Math.max(0, state.inFlight - 1);
+    this.pump(host);
+  }
+
+  // Run a request task once the host's politeness limits allow it
+  async schedule(url, task) {
+    await this.acquire(url);
+    try {
+      return await task();
+    } finally {
+      this.release(url);
+    }
+  }
+}
+
+module.exports = { RobotsTxt, PolitenessManager };
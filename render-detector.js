@@ -0,0 +1,124 @@
+// Render Detector Module
+// Decides per page whether a headless browser is needed, from framework
+// markers, empty app roots and a comparison of raw and rendered text
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// Client-side framework fingerprints found in server-sent HTML
+const DEFAULT_FRAMEWORK_MARKERS = {
+  react: ['[data-reactroot]', '#root', 'script[src*="react"]'],
+  next: ['#__next', 'script#__NEXT_DATA__'],
+  vue: ['[data-v-app]', '[data-server-rendered]', '#app'],
+  nuxt: ['#__nuxt', '#__layout'],
+  angular: ['[ng-version]', '[ng-app]', 'app-root'],
+  svelte: ['[class*="svelte-"]'],
+  ember: ['.ember-application', 'script[src*="ember"]']
+};
+
+// Mount points that client-side apps render into
+const DEFAULT_APP_ROOTS = ['#root', '#app', '#__next', '#__nuxt', 'app-root', '[ng-app]', '[data-reactroot]'];
+
+class RenderDetector {
+  constructor(options = {}) {
+    this.options = {
+      frameworkMarkers: DEFAULT_FRAMEWORK_MARKERS,
+      appRoots: DEFAULT_APP_ROOTS,
+      minTextLength: 200,       // Less body text than this is suspicious on a framework page
+      renderedTextGain: 1.5,    // Rendered text this many times longer than raw text needs a browser
+      userAgent: 'DynamicRAGBot',
+      timeout: 15000,
+      ...options
+    };
+  }
+
+  visibleText($, root) {
+    const $root = root ? $(root).clone() : $('body').clone();
+    $root.find('script, style, noscript, template').remove();
+    return $root.text().replace(/\s+/g, ' ').trim();
+  }
+
+  // Inspect server-sent HTML. `inconclusive` means framework markers were found
+  // but the page already has text, e.g. a server-rendered app that may hydrate more.
+  analyzeHtml(html) {
+    const $ = cheerio.load(html);
+    const textLength = this.visibleText($).length;
+    const reasons = [];
+    
+    const frameworks = Object.entries(this.options.frameworkMarkers)
+      .filter(([, selectors]) => selectors.some(selector => $(selector).length > 0))
+      .map(([framework]) => framework);
+    
+    const emptyRoot = this.options.appRoots.find(selector =>
+      $(selector).length > 0 && this.visibleText($, $(selector).first()).length < 20
+    );
+    if (emptyRoot) {
+      reasons.push(`empty app root ${emptyRoot}`);
+    }
+    
+    if (frameworks.length > 0 && textLength < this.options.minTextLength) {
+      reasons.push(`${frameworks.join(', ')} page with only ${textLength} characters of text`);
+    }
+    
+    const noscript = $('noscript').text();
+    if (/(enable|requires?|turn on)\s+javascript/i.test(noscript) && textLength < this.options.minTextLength) {
+      reasons.push('page asks for JavaScript');
+    }
+    
+    return {
+      needsBrowser: reasons.length > 0,
+      inconclusive: reasons.length === 0 && frameworks.length > 0,
+      reasons,
+      frameworks,
+      textLength
+    };
+  }
+
+  // Compare raw and rendered HTML: a browser is needed when rendering adds
+  // substantially more text than the server sent
+  compareRendered(rawHtml, renderedHtml) {
+    const rawLength = this.visibleText(cheerio.load(rawHtml)).length;
+    const renderedLength = this.visibleText(cheerio.load(renderedHtml)).length;
+    const needsBrowser = renderedLength > rawLength * this.options.renderedTextGain &&
+      renderedLength - rawLength >= this.options.minTextLength;
+    
+    return {
+      needsBrowser,
+      reasons: needsBrowser ? [`rendering grows text from ${rawLength} to ${renderedLength} characters`] : [],
+      rawLength,
+      renderedLength
+    };
+  }
+
+  // Fetch a URL's raw HTML and decide whether it needs a browser. renderPage is an
+  // optional async (url) => renderedHtml used to settle inconclusive pages.
+  async probe(url, { renderPage } = {}) {
+    let rawHtml;
+    try {
+      const response = await axios.get(url, {
+        timeout: this.options.timeout,
+        responseType: 'text',
+        headers: { 'User-Agent': this.options.userAgent }
+      });
+      rawHtml = String(response.data);
+    } catch (error) {
+      // Sites that refuse plain HTTP clients may still work in a browser
+      return { needsBrowser: true, reasons: [`raw fetch failed: ${error.message}`] };
+    }
+    
+    const analysis = this.analyzeHtml(rawHtml);
+    if (!analysis.inconclusive || !renderPage) {
+      return analysis;
+    }
+    
+    try {
+      const comparison = this.compareRendered(rawHtml, await renderPage(url));
+      return { ...analysis, ...comparison, inconclusive: false };
+    } catch (error) {
+      console.warn(`Could not render ${url} for comparison:`, error.message);
+      return analysis;
+    }
+  }
+}
+
+module.exports = { RenderDetector, DEFAULT_FRAMEWORK_MARKERS, DEFAULT_APP_ROOTS };
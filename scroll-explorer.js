@@ -0,0 +1,162 @@
+// Scroll Explorer Module
+// Reveals infinite-scroll and "load more" content by scrolling the page (or its
+// main scroll container) and clicking load-more controls until nothing new appears
+
+// Button text that usually loads the next slice of a feed or list
+const DEFAULT_LOAD_MORE_PATTERNS = [
+  /^\s*(load|show|see|view)\s+more\b/i,
+  /\bmore\s+(results|items|posts|products|comments)\b/i,
+  /^\s*next(\s+page)?\s*[\u203A\u00BB>]?\s*$/i
+];
+
+const DEFAULT_LOAD_MORE_SELECTORS = [
+  '[data-testid*="load-more"]',
+  '[class*="load-more"]',
+  '[class*="loadMore"]',
+  '[aria-label*="load more" i]',
+  '[aria-label*="next page" i]'
+];
+
+class ScrollExplorer {
+  constructor(options = {}) {
+    this.options = {
+      scrollDepth: 3,
+      scrollDelay: 1000,
+      newContentTimeout: 3000,
+      clickLoadMore: true,
+      loadMorePatterns: DEFAULT_LOAD_MORE_PATTERNS,
+      loadMoreSelectors: DEFAULT_LOAD_MORE_SELECTORS,
+      ...options
+    };
+  }
+
+  async countNodes(page) {
+    return page.evaluate(() => (document.body ? document.body.getElementsByTagName('*').length : 0));
+  }
+
+  // Scroll the window and the largest scrollable container to the bottom
+  async scrollToBottom(page) {
+    return page.evaluate(() => {
+      const root = document.scrollingElement || document.documentElement;
+      let scrolled = false;
+      
+      if (root.scrollHeight > window.innerHeight + root.scrollTop + 10) {
+        window.scrollTo(0, root.scrollHeight);
+        scrolled = true;
+      }
+      
+      // App shells often scroll an inner element instead of the document
+      let container = null;
+      let largestArea = 0;
+      for (const el of document.body.querySelectorAll('*')) {
+        const style = getComputedStyle(el);
+        if (!/(auto|scroll)/.test(style.overflowY) || el.scrollHeight <= el.clientHeight + 10) continue;
+        
+        const area = el.clientWidth * el.clientHeight;
+        if (area > largestArea) {
+          largestArea = area;
+          container = el;
+        }
+      }
+      
+      if (container && container.scrollTop + container.clientHeight < container.scrollHeight - 10) {
+        container.scrollTop = container.scrollHeight;
+        scrolled = true;
+      }
+      
+      return scrolled;
+    });
+  }
+
+  // Wait until the DOM has more elements than before, or give up after the timeout
+  async waitForNewNodes(page, previousCount) {
+    try {
+      await page.waitForFunction(
+        count => document.body && document.body.getElementsByTagName('*').length > count,
+        previousCount,
+        { timeout: this.options.newContentTimeout }
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Click a visible load-more or pagination control that stays on the current page
+  async clickLoadMore(page) {
+    const marked = await page.evaluate(({ patterns, selectors }) => {
+      const regexes = patterns.map(([source, flags]) => new RegExp(source, flags));
+      const isVisible = el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+      };
+      // Links to other documents are left to the link crawler
+      const staysOnPage = el => {
+        const href = el.getAttribute('href');
+        return el.tagName !== 'A' || !href || href.startsWith('#') || href.startsWith('javascript:');
+      };
+      
+      const candidates = [
+        ...selectors.flatMap(selector => [...document.querySelectorAll(selector)]),
+        ...[...document.querySelectorAll('button, a, [role="button"]')]
+          .filter(el => regexes.some(regex => regex.test(el.textContent || '')))
+      ];
+      
+      const target = candidates.find(el =>
+        isVisible(el) && staysOnPage(el) && !el.disabled && el.getAttribute('aria-disabled') !== 'true'
+      );
+      if (!target) return false;
+      
+      target.setAttribute('data-rag-load-more', 'true');
+      return true;
+    }, {
+      patterns: this.options.loadMorePatterns.map(regex => [regex.source, regex.flags]),
+      selectors: this.options.loadMoreSelectors
+    });
+    
+    if (!marked) return false;
+    
+    try {
+      await page.click('[data-rag-load-more="true"]');
+      return true;
+    } catch (error) {
+      console.warn('Error clicking load-more control:', error.message);
+      return false;
+    } finally {
+      await page.evaluate(() => {
+        document.querySelectorAll('[data-rag-load-more]').forEach(el => el.removeAttribute('data-rag-load-more'));
+      }).catch(() => {});
+    }
+  }
+
+  // Scroll and click load-more up to scrollDepth times, stopping once a round
+  // reveals no new DOM nodes
+  async explore(page) {
+    const startCount = await this.countNodes(page);
+    let rounds = 0;
+    let stopReason = 'scroll depth reached';
+    
+    for (; rounds < this.options.scrollDepth; rounds++) {
+      const before = await this.countNodes(page);
+      
+      const scrolled = await this.scrollToBottom(page);
+      let grew = scrolled && await this.waitForNewNodes(page, before);
+      
+      if (!grew && this.options.clickLoadMore && await this.clickLoadMore(page)) {
+        grew = await this.waitForNewNodes(page, before);
+      }
+      
+      if (!grew) {
+        stopReason = 'no new content';
+        break;
+      }
+      
+      await page.waitForTimeout(this.options.scrollDelay);
+    }
+    
+    const newNodes = Math.max(0, (await this.countNodes(page)) - startCount);
+    return { rounds, newNodes, stopReason };
+  }
+}
+
+module.exports = { ScrollExplorer, DEFAULT_LOAD_MORE_PATTERNS, DEFAULT_LOAD_MORE_SELECTORS };
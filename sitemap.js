@@ -0,0 +1,156 @@
+// Sitemap Module
+// Discovers sitemaps from robots.txt, follows sitemap index files, reads
+// gzip-compressed sitemaps and parses lastmod, priority and changefreq
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+// Default <priority> when a sitemap entry does not declare one
+const DEFAULT_SITEMAP_PRIORITY = 0.5;
+
+class SitemapReader {
+  constructor(options = {}) {
+    this.options = {
+      politeness: null,        // PolitenessManager whose robots.txt cache provides Sitemap: lines
+      userAgent: 'DynamicRAGBot',
+      timeout: 10000,
+      maxSitemaps: 50,         // Sitemap files fetched per site, including index files
+      maxEntries: 50000,
+      ...options
+    };
+  }
+
+  // Sitemap URLs for a site: robots.txt Sitemap: lines, or /sitemap.xml
+  async discover(url) {
+    const { origin } = new URL(url);
+    
+    if (this.options.politeness) {
+      const robots = await this.options.politeness.getRobots(url);
+      if (robots.sitemaps.length > 0) {
+        return robots.sitemaps;
+      }
+    }
+    
+    return [`${origin}/sitemap.xml`];
+  }
+
+  // Whether a sitemap URL is only the /sitemap.xml guess for a site that lists none
+  isGuessed(sitemapUrl, discovered) {
+    return discovered.length === 1 && discovered[0] === sitemapUrl &&
+      sitemapUrl === `${new URL(sitemapUrl).origin}/sitemap.xml`;
+  }
+
+  // Download a sitemap, decompressing it when it is gzipped (.xml.gz)
+  async fetch(sitemapUrl) {
+    const response = await axios.get(sitemapUrl, {
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      headers: { 'User-Agent': this.options.userAgent }
+    });
+    
+    const body = Buffer.from(response.data);
+    
+    // Check the gzip magic bytes rather than the extension or content type
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      return zlib.gunzipSync(body).toString('utf8');
+    }
+    return body.toString('utf8');
+  }
+
+  // Parse a <urlset> or <sitemapindex> document; `valid` is false for anything else
+  parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const text = (el, tag) => $(el).children(tag).first().text().trim() || null;
+    
+    const sitemaps = $('sitemapindex > sitemap').map((_, el) => text(el, 'loc')).get().filter(Boolean);
+    
+    const entries = $('urlset > url').map((_, el) => {
+      const loc = text(el, 'loc');
+      if (!loc) return null;
+      
+      const priority = parseFloat(text(el, 'priority'));
+      const lastmod = text(el, 'lastmod');
+      
+      return {
+        url: loc,
+        lastmod: lastmod && !Number.isNaN(Date.parse(lastmod)) ? new Date(lastmod).toISOString() : null,
+        changefreq: (text(el, 'changefreq') || '').toLowerCase() || null,
+        priority: Number.isNaN(priority) ? DEFAULT_SITEMAP_PRIORITY : Math.min(1, Math.max(0, priority))
+      };
+    }).get();
+    
+    return { sitemaps, entries, valid: $('urlset, sitemapindex').length > 0 };
+  }
+
+  // All entries reachable from a site's sitemaps, following index files,
+  // ordered by priority and then by most recent lastmod
+  async getEntries(url) {
+    return (await this.readEntries(url)).entries;
+  }
+
+  // Entries as getEntries, and whether every sitemap could be read. An
+  // incomplete list must not be taken to mean that unlisted pages were removed.
+  // Sitemaps answering 4xx do not exist and list nothing; network errors, 5xx
+  // responses and listed sitemaps that do not parse make the list incomplete.
+  // A /sitemap.xml guessed for a site that lists none may be any page.
+  async readEntries(url) {
+    const discovered = await this.discover(url);
+    const queue = [...discovered];
+    const fetched = new Set();
+    const entries = new Map();
+    let complete = true;
+    
+    while (queue.length > 0 && fetched.size < this.options.maxSitemaps && entries.size < this.options.maxEntries) {
+      const sitemapUrl = queue.shift();
+      if (fetched.has(sitemapUrl)) continue;
+      fetched.add(sitemapUrl);
+      
+      const guessed = this.isGuessed(sitemapUrl, discovered);
+      try {
+        const { sitemaps, entries: found, valid } = this.parse(await this.fetch(sitemapUrl));
+        if (!valid) {
+          if (!guessed) {
+            console.warn(`Error reading sitemap ${sitemapUrl}: not a sitemap document`);
+            complete = false;
+          }
+          continue;
+        }
+        queue.push(...sitemaps);
+        
+        for (const entry of found) {
+          if (entries.size >= this.options.maxEntries) break;
+          if (!entries.has(entry.url)) entries.set(entry.url, entry);
+        }
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (status >= 400 && status < 500) {
+          if (!guessed) console.warn(`Sitemap ${sitemapUrl} not found: HTTP ${status}`);
+          continue;
+        }
+        
+        console.warn(`Error reading sitemap ${sitemapUrl}:`, error.message);
+        complete = false;
+      }
+    }
+    
+    if (queue.length > 0 || entries.size >= this.options.maxEntries) complete = false;
+    
+    console.log(`Found ${entries.size} URLs in ${fetched.size} sitemap(s) for ${url}`);
+    return { entries: this.sortEntries([...entries.values()]), complete };
+  }
+
+  sortEntries(entries) {
+    return entries.sort((a, b) =>
+      b.priority - a.priority || (Date.parse(b.lastmod) || 0) - (Date.parse(a.lastmod) || 0)
+    );
+  }
+
+  // Frontier priority for an entry found at the given depth: higher sitemap
+  // priorities are crawled sooner, without jumping ahead of shallower pages
+  crawlPriority(entry, depth) {
+    return depth + (1 - entry.priority);
+  }
+}
+
+module.exports = { SitemapReader, DEFAULT_SITEMAP_PRIORITY };
@@ -2,17 +2,13 @@
 // This module integrates our Dynamic Website RAG system with LangGraph for orchestration
 
 const { DynamicWebsiteRAG } = require('./dynamic-rag-system');
-const { OpenAI } = require('openai');
+const { citationLabel } = require('./document-ingestor');
+const { liveDocuments } = require('./change-tracker');
 const fs = require('fs');
 const path = require('path');
 const { defineConfig } = require('langgraph');
 const { StateGraph, step } = require('langgraph/state');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Define the state schema for our LangGraph workflow
 const stateSchema = {
   query: "string",
@@ -50,22 +46,15 @@ class LangGraphRAG {
         console.log(`Processing query: ${state.query}`);
         
         // Use LLM to analyze the query and determine which URLs to crawl
-        const response = await openai.chat.completions.create({
-          model: this.options.llmModel,
-          messages: [
-            { 
-              role: 'system', 
-              content: 'You are an AI assistant that analyzes user queries and determines which web pages need to be crawled to answer the question. Output only a JSON array of URLs relevant to the query.'
-            },
-            { 
-              role: 'user', 
-              content: `User query: "${state.query}"\n\nBased on this query, provide a JSON array of up to 3 specific URLs that would be most relevant to crawl. If the query doesn't specify websites, use default websites related to the topic.` 
-            }
-          ],
-          response_format: { type: "json_object" }
-        });
+        const response = await this.ragSystem.completePrompt(
+          `User query: "${state.query}"\n\nBased on this query, provide a JSON array of up to 3 specific URLs that would be most relevant to crawl. If the query doesn't specify websites, use default websites related to the topic.`,
+          {
+            system: 'You are an AI assistant that analyzes user queries and determines which web pages need to be crawled to answer the question. Output only a JSON array of URLs relevant to the query.',
+            json: true
+          }
+        );
         
-        const urls = JSON.parse(response.choices[0].message.content).urls || [];
+        const urls = JSON.parse(response).urls || [];
         
         return {
           crawl_urls: urls,
@@ -96,9 +85,11 @@ class LangGraphRAG {
           await this.ragSystem.crawlDynamicSite(url, 1, visitedUrls);
         }
         
+        // Tombstoned chunks of changed or removed pages must not be ranked or cited
+        const documents = liveDocuments(this.ragSystem.documents);
         return { 
-          documents: this.ragSystem.documents,
-          logs: [...state.logs, `Crawled ${state.crawl_urls.length} URLs, found ${this.ragSystem.documents.length} documents`]
+          documents,
+          logs: [...state.logs, `Crawled ${state.crawl_urls.length} URLs, found ${documents.length} documents`]
         };
       } catch (error) {
         console.error('Error in crawl_websites:', error);
@@ -139,26 +130,17 @@ class LangGraphRAG {
         
         // Prepare context for the LLM
         const context = state.filtered_documents.map((doc, i) => 
-          `[${i+1}] From ${doc.url}:\n${doc.content}`
+          `[${i+1}] From ${citationLabel(doc)}:\n${doc.content}`
         ).join('\n\n');
         
         // Generate an answer
-        const response = await openai.chat.completions.create({
-          model: this.options.llmModel,
-          messages: [
-            { 
-              role: 'system', 
-              content: 'You are a helpful AI assistant that answers questions based on web content. Provide comprehensive, accurate answers based only on the provided context. Cite sources using [1], [2], etc.'
-            },
-            { 
-              role: 'user', 
-              content: `Context:\n${context}\n\nQuestion: ${state.query}\n\nProvide a detailed answer based only on the information in the context above. Cite your sources.` 
-            }
-          ],
-          temperature: 0.2
-        });
-        
-        const answer = response.choices[0].message.content;
+        const answer = await this.ragSystem.completePrompt(
+          `Context:\n${context}\n\nQuestion: ${state.query}\n\nProvide a detailed answer based only on the information in the context above. Cite your sources.`,
+          {
+            system: 'You are a helpful AI assistant that answers questions based on web content. Provide comprehensive, accurate answers based only on the provided context. Cite sources using [1], [2], etc.',
+            temperature: 0.2
+          }
+        );
         
         return { 
           response: answer,
@@ -228,7 +210,9 @@ class LangGraphRAG {
         error: result.error,
         sources: result.filtered_documents.map(doc => ({
           url: doc.url,
-          title: doc.title || doc.url
+          title: doc.title || doc.url,
+          ...(doc.page ? { page: doc.page } : {}),
+          ...(doc.section ? { section: doc.section } : {})
         }))
       };
     } catch (error) {
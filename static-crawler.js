@@ -0,0 +1,268 @@
+// Static Crawler Module
+// Fetch-and-parse crawler for server-rendered pages using axios and cheerio,
+// without a browser. Pages that need JavaScript are handed to the browser crawler.
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { CrawlFrontier } = require('./crawl-frontier');
+const { CrawlScope } = require('./crawl-scope');
+const { RenderDetector } = require('./render-detector');
+const { isHashRoute } = require('./url-canonicalizer');
+const { hashContent } = require('./change-tracker');
+
+class StaticCrawler {
+  // ragSystem is the DynamicWebsiteRAG whose index, politeness and URL rules are used
+  constructor(ragSystem, options = {}) {
+    this.ragSystem = ragSystem;
+    this.options = {
+      concurrency: ragSystem.options.concurrency,
+      maxPages: ragSystem.options.maxPages,
+      maxLinksPerPage: ragSystem.options.maxLinksPerPage,
+      userAgent: ragSystem.options.robotsUserAgent,
+      timeout: 15000,
+      maxBodyBytes: 5 * 1024 * 1024,
+      fallbackToBrowser: true,   // Crawl pages that need JavaScript with ragSystem.crawlDynamicPages
+      renderDetection: {},       // RenderDetector overrides
+      ...options
+    };
+    
+    this.renderDetector = new RenderDetector({
+      userAgent: this.options.userAgent,
+      ...this.options.renderDetection
+    });
+  }
+
+  // Fetch a page or linked document, conditionally when it was indexed before
+  // (a 304 means unchanged), with the crawl's login cookies and headers
+  async fetchPage(url) {
+    const { changeTracker, documentIngestor, auth } = this.ragSystem;
+    const conditionalHeaders = this.ragSystem.options.incremental && this.ragSystem.hasLiveDocuments(url)
+      ? changeTracker.getConditionalHeaders(url)
+      : {};
+    
+    // Documents such as PDFs are binary and may be larger than HTML pages
+    const isDocument = Boolean(documentIngestor && documentIngestor.isDocumentUrl(url));
+    
+    const response = await axios.get(url, {
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: isDocument ? documentIngestor.options.maxBytes : this.options.maxBodyBytes,
+      headers: {
+        'User-Agent': this.options.userAgent,
+        Accept: 'text/html,application/xhtml+xml',
+        ...(auth ? auth.getRequestHeaders(url) : {}),
+        ...conditionalHeaders
+      },
+      validateStatus: () => true
+    });
+    
+    // URL after redirects, so relative links resolve against the right page
+    const { res } = response.request || {};
+    const body = Buffer.from(response.data);
+    
+    return {
+      status: response.status,
+      finalUrl: (res && res.responseUrl) || url,
+      contentType: String(response.headers['content-type'] || '').toLowerCase(),
+      validators: changeTracker.validatorsFrom(response.headers),
+      body,
+      html: body.toString('utf8')
+    };
+  }
+
+  // Canonical link targets in static HTML. Hash routes only exist once the
+  // app's router runs, so they are left to the browser crawler.
+  extractLinks(html, pageUrl) {
+    const $ = cheerio.load(html);
+    
+    let baseUrl = pageUrl;
+    try {
+      baseUrl = new URL($('base[href]').attr('href') || pageUrl, pageUrl).href;
+    } catch {
+      // Ignore malformed <base> tags
+    }
+    
+    const hrefs = $('a[href]').map((_, el) => $(el).attr('href')).get()
+      .filter(href => href && !href.startsWith('#') && !href.startsWith('javascript:'));
+    
+    return this.ragSystem.canonicalizer.canonicalizeAll(hrefs, baseUrl)
+      .filter(link => !isHashRoute(new URL(link).hash));
+  }
+
+  // Fetch, index and extract links from one page, or set it aside for the
+  // browser crawler when its content is rendered client-side
+  async crawlPage({ url, depth }, { frontier, scope, browserPages }) {
+    console.log(`Fetching: ${url} (depth: ${depth})`);
+    const { canonicalizer, changeTracker, documentIngestor } = this.ragSystem;
+    
+    try {
+      const { status, finalUrl, contentType, validators, body, html } = await this.fetchPage(url);
+      
+      if (status === 304) {
+        this.ragSystem.reuseUnchangedPage(url, depth, { frontier, scope });
+        return;
+      }
+      if (status === 404 || status === 410) {
+        if (this.ragSystem.hasLiveDocuments(url)) {
+          this.ragSystem.removePage(url, `HTTP ${status}`);
+        }
+        return;
+      }
+      if (status < 200 || status >= 300) {
+        console.warn(`Skipping ${url}: HTTP ${status}`);
+        this.ragSystem.keepPage(url);
+        return;
+      }
+      // Linked PDF, Word and text documents are indexed page by page or section
+      // by section; anything else is handled as a page below
+      if (documentIngestor && documentIngestor.detectType(finalUrl, contentType) &&
+          await this.ragSystem.indexDocument(url, { status, contentType, body, validators }, depth)) {
+        return;
+      }
+      if (!contentType.includes('html')) {
+        console.log(`Skipping ${url}: not an HTML page (${contentType || 'unknown type'})`);
+        this.ragSystem.keepPage(url);
+        return;
+      }
+      
+      // Without a valid session the site redirects to its login page; the
+      // browser crawler can log in
+      const { auth } = this.ragSystem;
+      if (auth && auth.isLoginUrl(finalUrl) && this.options.fallbackToBrowser) {
+        console.log(`${url} redirected to the login page; crawling it with a browser`);
+        browserPages.push({ url, depth });
+        return;
+      }
+      
+      const analysis = this.renderDetector.analyzeHtml(html);
+      if (analysis.needsBrowser && this.options.fallbackToBrowser) {
+        console.log(`${url} needs a browser: ${analysis.reasons.join('; ')}`);
+        browserPages.push({ url, depth });
+        return;
+      }
+      
+      // Redirects and <link rel="canonical"> can reveal a page crawled already
+      const declaredCanonical = cheerio.load(html)('link[rel="canonical"]').attr('href');
+      const pageUrl = canonicalizer.registerCanonical(finalUrl, declaredCanonical) || url;
+      if (pageUrl !== url) {
+        if (frontier.has(pageUrl)) {
+          console.log(`Skipping ${url}: duplicate of canonical page ${pageUrl}`);
+          return;
+        }
+        frontier.markSeen(pageUrl);
+      }
+      
+      const contentHash = hashContent(this.ragSystem.htmlToMarkdown(html, pageUrl));
+      if (this.ragSystem.isUnchangedPage(pageUrl, contentHash)) {
+        this.ragSystem.reuseUnchangedPage(pageUrl, depth, { frontier, scope });
+        return;
+      }
+      
+      changeTracker.beginPage(pageUrl);
+      try {
+        await this.ragSystem.indexHtml(pageUrl, html, 'static');
+        
+        const links = this.extractLinks(html, finalUrl);
+        if (depth < frontier.options.maxDepth) {
+          const scopedLinks = links.filter(link =>
+            !frontier.has(link) && scope.check(link, depth + 1).allowed
+          ).slice(0, this.options.maxLinksPerPage);
+          
+          for (const link of scopedLinks) {
+            frontier.add(link, depth + 1);
+          }
+        }
+        
+        this.ragSystem.recordPage(pageUrl, { contentHash, ...validators, links, depth });
+      } finally {
+        changeTracker.abortPage(pageUrl);
+      }
+    } catch (error) {
+      console.error(`Error fetching ${url}:`, error.message);
+      this.ragSystem.keepPage(url);
+    }
+  }
+
+  // Crawl a site without a browser, following links up to `depth` levels.
+  // Pages that need JavaScript are then crawled with the browser, continuing
+  // from their depth. Resolves with the number of pages crawled each way.
+  async crawl(url, depth = 1) {
+    const seedUrl = this.ragSystem.canonicalizer.canonicalize(url);
+    if (!seedUrl) {
+      return { staticPages: 0, browserPages: 0 };
+    }
+    
+    const frontier = new CrawlFrontier({ maxDepth: depth });
+    frontier.add(seedUrl, 0);
+    
+    const scope = new CrawlScope(seedUrl, this.ragSystem.options.crawlScope);
+    const session = {
+      seedUrl,
+      frontier,
+      scope,
+      browserPages: [],
+      pagesCrawled: 0,
+      startedAt: Date.now(),
+      sweepRemoved: true,
+      sitemapUrls: [],
+      sitemapComplete: true
+    };
+    if (depth > 0 && this.ragSystem.options.useSitemaps) {
+      Object.assign(session, await this.ragSystem.seedFromSitemaps(seedUrl, frontier, scope));
+    }
+    const { politeness } = this.ragSystem;
+    let inFlight = 0;
+    
+    const worker = async () => {
+      while (session.pagesCrawled < this.options.maxPages) {
+        const entry = frontier.next();
+        
+        if (!entry) {
+          // Other workers may still add links, so only stop once nothing is in flight
+          if (inFlight === 0) return;
+          await new Promise(resolve => setTimeout(resolve, 100));
+          continue;
+        }
+        
+        inFlight++;
+        try {
+          const verdict = await politeness.check(entry.url);
+          if (!verdict.allowed) {
+            console.log(`Skipping ${entry.url}: ${verdict.reason}`);
+            this.ragSystem.keepPage(entry.url);
+            continue;
+          }
+          
+          session.pagesCrawled++;
+          await politeness.schedule(entry.url, () => this.crawlPage(entry, session));
+        } finally {
+          inFlight--;
+        }
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.max(1, this.options.concurrency) }, worker));
+    
+    // One browser session crawls them all; sharing the seen set keeps it off
+    // pages fetched statically, and it gets the rest of the page budget
+    if (session.browserPages.length > 0) {
+      await this.ragSystem.crawlDynamicPages(seedUrl, session.browserPages, {
+        maxDepth: depth,
+        visitedUrls: frontier.seen,
+        maxPages: this.options.maxPages - session.pagesCrawled + session.browserPages.length
+      });
+    }
+    
+    // Pages an earlier crawl indexed that this complete crawl confirms are gone were removed
+    if (frontier.size === 0) {
+      this.ragSystem.sweepRemovedPages(session);
+    }
+    
+    const staticPages = session.pagesCrawled - session.browserPages.length;
+    console.log(`Crawled ${staticPages} pages without a browser and ${session.browserPages.length} with one, starting from ${seedUrl}`);
+    
+    return { staticPages, browserPages: session.browserPages.length };
+  }
+}
+
+module.exports = { StaticCrawler };
@@ -0,0 +1,128 @@
+// URL Canonicalization Module
+// Normalizes URLs so variants of the same page (tracking parameters, trailing
+// slashes, host case, default ports, rel="canonical" aliases) are crawled and
+// stored once
+
+// Query parameters that never change page content
+const DEFAULT_STRIPPED_PARAMS = [
+  /^utm_/i,
+  'gclid',
+  'dclid',
+  'fbclid',
+  'msclkid',
+  'yclid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  'igshid',
+  'ref_src'
+];
+
+// Fragments used as client-side routes by hash-routed apps (#/settings, #!/reports)
+const HASH_ROUTE_PATTERN = /^#!?\/./;
+
+function isHashRoute(hash) {
+  return HASH_ROUTE_PATTERN.test(hash);
+}
+
+class UrlCanonicalizer {
+  constructor(options = {}) {
+    this.options = {
+      stripQueryParams: DEFAULT_STRIPPED_PARAMS,
+      stripAllQueryParams: false,
+      sortQueryParams: true,
+      removeTrailingSlash: true,
+      removeFragment: true,
+      preserveHashRoutes: true,   // Keep #/ and #!/ routes, which render distinct views
+      stripWww: false,
+      honorCanonicalTags: true,
+      allowCrossHostCanonicals: false,
+      ...options
+    };
+    
+    // Page URL -> canonical URL declared by the page itself
+    this.aliases = new Map();
+  }
+
+  isStrippedParam(name) {
+    return this.options.stripQueryParams.some(rule =>
+      rule instanceof RegExp ? rule.test(name) : rule.toLowerCase() === name.toLowerCase()
+    );
+  }
+
+  // Return the canonical form of a URL, or null if it is not a crawlable http(s) URL
+  canonicalize(url, base) {
+    let parsed;
+    try {
+      parsed = new URL(url, base);
+    } catch {
+      return null;
+    }
+    
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    
+    // The URL parser already lowercases the host and drops default ports
+    parsed.username = '';
+    parsed.password = '';
+    parsed.hostname = parsed.hostname.replace(/\.$/, '');
+    if (this.options.stripWww) {
+      parsed.hostname = parsed.hostname.replace(/^www\./, '');
+    }
+    
+    // Plain anchors point into the same page; hash routes are separate views
+    if (this.options.preserveHashRoutes && isHashRoute(parsed.hash)) {
+      if (this.options.removeTrailingSlash) {
+        parsed.hash = parsed.hash.replace(/(.)\/+$/, '$1');
+      }
+    } else if (this.options.removeFragment) {
+      parsed.hash = '';
+    }
+    
+    const params = this.options.stripAllQueryParams
+      ? []
+      : [...parsed.searchParams.entries()].filter(([name]) => !this.isStrippedParam(name));
+    if (this.options.sortQueryParams) {
+      params.sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    }
+    parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+    
+    parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+    if (this.options.removeTrailingSlash && parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    
+    const canonical = parsed.href;
+    return this.aliases.get(canonical) || canonical;
+  }
+
+  // Record a page's <link rel="canonical"> target and return the URL the page
+  // should be stored under
+  registerCanonical(pageUrl, canonicalHref) {
+    const canonicalPage = this.canonicalize(pageUrl);
+    if (!this.options.honorCanonicalTags || !canonicalHref || !canonicalPage) {
+      return canonicalPage;
+    }
+    
+    const target = this.canonicalize(canonicalHref, pageUrl);
+    if (!target || target === canonicalPage) {
+      return canonicalPage;
+    }
+    
+    if (!this.options.allowCrossHostCanonicals && new URL(target).host !== new URL(canonicalPage).host) {
+      return canonicalPage;
+    }
+    
+    this.aliases.set(canonicalPage, target);
+    return target;
+  }
+
+  // Canonicalize and de-duplicate a list of URLs, preserving order
+  canonicalizeAll(urls, base) {
+    return [...new Set(urls.map(url => this.canonicalize(url, base)).filter(Boolean))];
+  }
+}
+
+module.exports = { UrlCanonicalizer, DEFAULT_STRIPPED_PARAMS, isHashRoute };